@@ -1,6 +1,7 @@
 /**
  * attack.js - Attack Simulations
- * Simulates cryptanalysis attacks that reduce cipher score
+ * Simulates cryptanalysis attacks and rates how exposed a cipher is
+ * (shown next to the score as a warning, never deducted from it)
  */
 
 /**
@@ -33,11 +34,13 @@ function frequencyAnalysisAttack(ciphertext) {
 
   // If top letter appears > 20% of the time, it's suspicious
   const domination = Math.max(0, topFreq - 0.15);
-  const penalty = Math.min(30, domination * 100);
+  const penalty = Math.round(Math.min(30, domination * 100));
 
   return {
-    penalty: Math.round(penalty),
-    description: `Top letter frequency: ${(topFreq * 100).toFixed(1)}% - Pattern detected!`
+    penalty,
+    description: penalty > 0
+      ? `Top letter frequency: ${(topFreq * 100).toFixed(1)}% - Pattern detected!`
+      : `Top letter frequency: ${(topFreq * 100).toFixed(1)}% - No dominant letter, attack failed`
   };
 }
 
@@ -71,6 +74,38 @@ function bruteForceAttack(pipeline) {
         keySpace = 2; // Reversed or not
         nodeName = 'Reverse (2 states)';
         break;
+      case 'circle':
+        keySpace = 26 * 12; // Affine shift and multiplier
+        nodeName = 'Circle (312 keys)';
+        break;
+      case 'angle':
+        keySpace = 181; // Whole-degree measures 0-180
+        nodeName = 'Angle (181 keys)';
+        break;
+      case 'vigenere':
+        keySpace = 26 ** node.shifts.length; // One of 26 shifts per key letter
+        nodeName = `Vigenère (26^${node.shifts.length} keys)`;
+        break;
+      case 'columnar':
+        keySpace = factorial(node.columns); // Any read order of the columns
+        nodeName = `Columnar (${node.columns}! orders)`;
+        break;
+      case 'railfence':
+        keySpace = RAIL_FENCE_KEYS; // Rail counts worth trying
+        nodeName = `Rail Fence (${RAIL_FENCE_KEYS} rail counts)`;
+        break;
+      case 'hill':
+        keySpace = HILL_KEYS[node.size] || 1; // Invertible key matrices
+        nodeName = `Hill ${node.size}×${node.size} (${keySpace.toLocaleString()} matrices)`;
+        break;
+      case 'substitution':
+        keySpace = factorial(26); // Any arrangement of the alphabet
+        nodeName = 'Substitution (26! alphabets)';
+        break;
+      case 'rotor':
+        keySpace = rotorKeySpace(node.pairs.length); // Rotor order, positions, rings, plugboard
+        nodeName = `Rotor Machine (${node.pairs.length} plugboard pairs)`;
+        break;
       default:
         keySpace = 2;
     }
@@ -100,9 +135,14 @@ function bruteForceAttack(pipeline) {
   } else if (hoursNeeded < 24) {
     timeStr = `${hoursNeeded.toFixed(1)}h`;
     penalty = 5;
-  } else {
+  } else if (hoursNeeded < 24 * 365) {
     timeStr = `${(hoursNeeded / 24).toFixed(1)} days`;
     penalty = 0; // Strong enough
+  } else {
+    // A 26! substitution alphabet alone is ~10^13 years
+    const years = hoursNeeded / 24 / 365;
+    timeStr = `${years < 1e6 ? years.toFixed(1) : years.toExponential(1)} years`;
+    penalty = 0;
   }
 
   return {
@@ -142,10 +182,12 @@ function runAttacks(plaintext, ciphertext, pipeline) {
   });
   totalPenalty += bfAttack.penalty;
 
+  const cappedPenalty = Math.min(50, totalPenalty); // Cap the total penalty
+
   return {
     attacks,
-    totalPenalty: Math.min(50, totalPenalty), // Cap the total penalty
-    summary: `${attacks.length} attacks simulated. Total threat level: ${(totalPenalty / 50 * 100).toFixed(0)}%`,
+    totalPenalty: cappedPenalty,
+    summary: `${attacks.length} attacks simulated. Total threat level: ${(cappedPenalty / 50 * 100).toFixed(0)}%`,
     showAnimation: totalPenalty > 0 // Trigger animation if any attacks succeed
   };
 }
@@ -26,25 +26,121 @@ function calculateEntropy(text) {
 }
 
 /**
- * Calculate diffusion: percentage of characters that changed
- * Higher diffusion = changes propagate through the signal = stronger cipher
- * @param {string} plaintext - Original signal
- * @param {string} ciphertext - Encrypted signal
- * @returns {number} - Percentage (0-100) of changed characters
+ * Rail counts a brute-force attacker has to try for a rail fence
+ * (2 to 10 rails covers every level's plaintext length)
  */
-function calculateDiffusion(plaintext, ciphertext) {
-  if (plaintext.length !== ciphertext.length) {
-    return 50; // Penalize length changes
+const RAIL_FENCE_KEYS = 9;
+
+/**
+ * Invertible key matrices mod 26 a brute-force attacker has to try for a
+ * Hill cipher, by matrix size
+ */
+const HILL_KEYS = { 2: 157248, 3: 1634038189056 };
+
+/**
+ * Settings a brute-force attacker has to try for a rotor machine: rotor
+ * order (5 x 4 x 3), reflector, start positions, the two ring settings
+ * that matter, and every plugboard with the same number of pairs
+ * @param {number} pairs - Plugboard pairs
+ */
+function rotorKeySpace(pairs) {
+  // Ways to choose the pairs: 26! / ((26 - 2k)! k! 2^k)
+  let plugboards = 1;
+  for (let i = 0; i < pairs; i++) {
+    plugboards *= (26 - 2 * i) * (25 - 2 * i) / 2 / (i + 1);
   }
+  return 60 * 2 * 26 ** 3 * 26 ** 2 * plugboards;
+}
 
+/**
+ * n! (column orders of a columnar transposition, or 26! substitution alphabets)
+ */
+function factorial(n) {
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+/**
+ * Count the positions where two strings of the same length differ
+ */
+function countChangedPositions(a, b) {
   let changes = 0;
-  for (let i = 0; i < plaintext.length; i++) {
-    if (plaintext[i] !== ciphertext[i]) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
       changes++;
     }
   }
+  return changes;
+}
+
+/**
+ * Count the ciphertext characters left over once each one is matched to an
+ * identical plaintext character: the characters that were replaced rather
+ * than moved. A pure transposition leaves none
+ */
+function countReplacedChars(plaintext, ciphertext) {
+  const unmatched = {};
+  for (const char of plaintext) {
+    unmatched[char] = (unmatched[char] || 0) + 1;
+  }
+
+  let replaced = 0;
+  for (const char of ciphertext) {
+    if (unmatched[char] > 0) {
+      unmatched[char]--;
+    } else {
+      replaced++;
+    }
+  }
+  return replaced;
+}
+
+/**
+ * Calculate diffusion: how much of the signal changed
+ * Higher diffusion = changes propagate through the signal = stronger cipher
+ * Half comes from positions whose character changed, half from characters
+ * that were replaced rather than moved. A transposition keeps the
+ * plaintext's letters (and their frequencies), so on its own it earns at
+ * most half; a substitution earns both halves
+ * Every node keeps the signal's length, so the two strings line up
+ * position by position
+ * @param {string} plaintext - Original signal
+ * @param {string} ciphertext - Encrypted signal (same length)
+ * @returns {number} - Percentage (0-100)
+ */
+function calculateDiffusion(plaintext, ciphertext) {
+  if (plaintext.length === 0) return 0;
 
-  return (changes / plaintext.length) * 100;
+  const moved = countChangedPositions(plaintext, ciphertext);
+  const replaced = countReplacedChars(plaintext, ciphertext);
+  return ((moved + replaced) / (2 * plaintext.length)) * 100;
+}
+
+/**
+ * Calculate avalanche: how far a one-letter change in the plaintext
+ * spreads through the ciphertext. Each letter is changed in turn and the
+ * ciphertext positions that differ are counted. Letter-by-letter ciphers
+ * (shifts, affine, Vigenère) score 1/length; block ciphers like Hill change
+ * a whole block
+ * @param {string} plaintext - Original signal
+ * @param {CipherPipeline} pipeline - The cipher pipeline used
+ * @returns {number} - Average percentage of ciphertext changed (0-100)
+ */
+function calculateAvalanche(plaintext, pipeline) {
+  const signal = plaintext.toUpperCase();
+  const ciphertext = pipeline.encrypt(signal);
+  const letters = signal.split('').map((char, i) => (/[A-Z]/.test(char) ? i : -1)).filter(i => i !== -1);
+  if (pipeline.isEmpty() || letters.length === 0 || ciphertext.length === 0) return 0;
+
+  let total = 0;
+  for (const i of letters) {
+    const next = String.fromCharCode((signal.charCodeAt(i) - 65 + 1) % 26 + 65);
+    const changed = pipeline.encrypt(signal.slice(0, i) + next + signal.slice(i + 1));
+    total += (countChangedPositions(ciphertext, changed) / ciphertext.length) * 100;
+  }
+
+  return total / letters.length;
 }
 
 /**
@@ -116,6 +212,30 @@ function estimateKeySpace(pipeline) {
       case 'reverse':
         bits += 1; // Either reversed or not (binary choice)
         break;
+      case 'circle':
+        bits += Math.log2(26 * 12); // Affine: 26 shifts x 12 multipliers
+        break;
+      case 'angle':
+        bits += Math.log2(181); // One key per whole-degree measure
+        break;
+      case 'vigenere':
+        bits += node.shifts.length * Math.log2(26); // 26 choices per key letter
+        break;
+      case 'columnar':
+        bits += Math.log2(factorial(node.columns)); // Any read order of the columns
+        break;
+      case 'railfence':
+        bits += Math.log2(RAIL_FENCE_KEYS);
+        break;
+      case 'hill':
+        bits += Math.log2(HILL_KEYS[node.size] || 1); // Any invertible key matrix
+        break;
+      case 'substitution':
+        bits += Math.log2(factorial(26)); // Any arrangement of the alphabet
+        break;
+      case 'rotor':
+        bits += Math.log2(rotorKeySpace(node.pairs.length));
+        break;
       default:
         bits += 1;
     }
@@ -138,6 +258,7 @@ function evaluateCipher(plaintext, ciphertext, pipeline) {
     base: 60,
     entropy: 0,
     diffusion: 0,
+    avalanche: 0,
     keySpace: 0,
     penalties: 0,
     final: 0
@@ -153,20 +274,29 @@ function evaluateCipher(plaintext, ciphertext, pipeline) {
   score += entropyBoost;
 
   // 2. DIFFUSION (0-12 points, reduced from 15)
-  // How many characters changed = how well changes propagate
+  // Characters moved or replaced (see calculateDiffusion)
   const diffusion = calculateDiffusion(plaintext, ciphertext);
   const diffusionScore = Math.min(12, diffusion * 0.12);
   breakdown.diffusion = diffusionScore;
   score += diffusionScore;
 
-  // 3. KEY SPACE (0-8 points, reduced from 10)
+  // 3. AVALANCHE BONUS (0-8 points)
+  // 4 points for every ciphertext letter beyond the first that a one-letter
+  // change reaches: 0 for a shift, 4 for a 2x2 Hill block, 8 for 3x3
+  const avalanche = calculateAvalanche(plaintext, pipeline);
+  const lettersReached = Math.round(avalanche * ciphertext.length) / 100;
+  const avalancheScore = Math.min(8, Math.max(0, lettersReached - 1) * 4);
+  breakdown.avalanche = avalancheScore;
+  score += avalancheScore;
+
+  // 4. KEY SPACE (0-8 points, reduced from 10)
   // Larger key space = harder to brute force
   const keySpaceBits = estimateKeySpace(pipeline);
   const keySpaceScore = Math.min(8, keySpaceBits);
   breakdown.keySpace = keySpaceScore;
   score += keySpaceScore;
 
-  // 4. PENALTIES for weaknesses (reduced severity)
+  // 5. PENALTIES for weaknesses (reduced severity)
 
   // Penalty: Identical output (identity transformation)
   if (isIdentical(plaintext, ciphertext)) {
@@ -180,7 +310,7 @@ function evaluateCipher(plaintext, ciphertext, pipeline) {
     score -= 15;
   }
 
-  // Penalty: Very low diffusion (< 30% of characters changed)
+  // Penalty: Very low diffusion (< 30%, e.g. only a few letters moved)
   if (diffusion < 30) {
     breakdown.penalties -= 10; // Reduced from 15
     score -= 10;
@@ -244,6 +374,9 @@ function generateFeedback(breakdown, plaintext, ciphertext) {
   if (breakdown.diffusion > 10) {
     feedback += ' | Good diffusion.';
   }
+  if (breakdown.avalanche >= 4) {
+    feedback += ' | Strong avalanche.';
+  }
   if (breakdown.keySpace > 5) {
     feedback += ' | Large key space.';
   }
@@ -3,6 +3,172 @@
  * Core game state, level management, and event handling
  */
 
+/**
+ * Degrees of error allowed per angle on triangle objectives
+ * (their tolerance is in radians, so 0.087 allows about 5°)
+ * @param {number} tolerance - Level tolerance
+ * @returns {number} - Margin in degrees
+ */
+function triangleAngleMargin(tolerance) {
+  return tolerance * 180 / Math.PI;
+}
+
+/**
+ * Largest deviation (as a fraction of the level's margin) for each star rating
+ */
+const STAR_THRESHOLDS = { 3: 1 / 3, 2: 2 / 3 };
+
+/**
+ * Format a star rating, e.g. ★★☆
+ */
+function formatStars(stars) {
+  return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+}
+
+/**
+ * Format a deviation or margin in its unit ('%' values are fractions)
+ */
+function formatDeviation(value, unit) {
+  return unit === '%' ? `${(value * 100).toFixed(1)}%` : `${value.toFixed(1)}°`;
+}
+
+/**
+ * Instructions shown under the canvas for each drawing mode
+ */
+const MODE_INSTRUCTIONS = {
+  polygon: 'Click on the canvas to add vertices. Right-click to remove. Drag vertices to adjust. Assemble a valid polygon to add as a cipher node.',
+  line: 'Click on the canvas to add 2 points for a line. Drag an endpoint to adjust it. Right-click a line to remove it, or elsewhere to remove the last point. Add lines to your cipher pipeline.',
+  circle: 'Press on the center point and drag outward to set the radius. Right-click a circle to remove it. Add circles to your cipher pipeline.',
+  angle: 'Click to place the vertex, then one point on each ray. Drag any point to adjust the measure. Right-click to remove. Add angles to your cipher pipeline.',
+  freehand: 'Draw a triangle, square, polygon, line or circle in one stroke. It is cleaned up and recognized, with a confidence score. Draw again to replace it.'
+};
+
+/**
+ * What each keyed node kind needs drawn (shown while the drawing can't key it)
+ */
+const ADD_NODE_KIND_HINTS = {
+  vigenere: 'Draw a valid polygon or some lines: one key letter per side or line',
+  columnar: 'Draw a valid polygon: one column per vertex, read left to right',
+  railfence: 'Draw two or more lines: one rail per line',
+  hill: 'Draw a quadrilateral or two lines (2×2 key), or a hexagon (3×3 key)',
+  substitution: 'Type a keyword, or draw a valid polygon or some lines to shuffle the alphabet',
+  rotor: 'Draw three lines: their angles set the left, middle and right rotors'
+};
+
+/**
+ * Canvas state that redraws a geometry node, for editing it again
+ * @param {CipherNode} node - Pipeline node
+ * @returns {object|null} - PolygonBuilder.setState() input, or null if the node has no shape
+ */
+function getNodeCanvasState(node) {
+  const copy = p => ({ x: p.x, y: p.y });
+  switch (node.type) {
+    case 'polygon':
+      return { mode: 'polygon', vertices: node.vertices.map(copy) };
+    case 'line':
+      return { mode: 'line', completedLines: [[copy(node.point1), copy(node.point2)]] };
+    case 'circle':
+      return { mode: 'circle', circles: [{ center: copy(node.center), radius: node.radius }] };
+    case 'angle':
+      return { mode: 'angle', completedAngles: [[copy(node.vertex), copy(node.ray1), copy(node.ray2)]] };
+    case 'vigenere':
+      return node.source === 'polygon'
+        ? { mode: 'polygon', vertices: node.vertices.map(copy) }
+        : { mode: 'line', completedLines: node.segments.map(([p1, p2]) => [copy(p1), copy(p2)]) };
+    case 'columnar':
+      return { mode: 'polygon', vertices: node.vertices.map(copy) };
+    case 'railfence':
+      return { mode: 'line', completedLines: node.lines.map(([p1, p2]) => [copy(p1), copy(p2)]) };
+    case 'hill':
+      return node.source === 'polygon'
+        ? { mode: 'polygon', vertices: node.vertices.map(copy) }
+        : { mode: 'line', completedLines: [node.points.slice(0, 2), node.points.slice(2)].map(line => line.map(copy)) };
+    case 'substitution':
+      if (node.source === 'polygon') return { mode: 'polygon', vertices: node.vertices.map(copy) };
+      if (node.source === 'lines') {
+        const lines = [];
+        for (let i = 0; i < node.points.length; i += 2) lines.push([copy(node.points[i]), copy(node.points[i + 1])]);
+        return { mode: 'line', completedLines: lines };
+      }
+      return null; // Keyword alphabets have no shape
+    case 'rotor':
+      return { mode: 'line', completedLines: node.lines.map(([p1, p2]) => [copy(p1), copy(p2)]) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Plain -> cipher table for a substitution node's alphabet
+ * Letters that map to themselves and letters in the node's signal are marked
+ * @param {SubstitutionNode} node - Node to show
+ * @param {string} input - Signal reaching the node
+ * @returns {string} - HTML
+ */
+function renderAlphabetInspector(node, input) {
+  const plain = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+  const used = new Set(input.toUpperCase());
+  const cell = (letter, i) => {
+    const classes = [];
+    if (node.alphabet[i] === letter) classes.push('alphabet-fixed');
+    if (used.has(letter)) classes.push('alphabet-used');
+    const title = node.alphabet[i] === letter ? ' title="Unchanged"' : '';
+    return classes.length > 0 ? `<td class="${classes.join(' ')}"${title}>` : '<td>';
+  };
+
+  return `
+    <div class="alphabet-inspector">
+      <table aria-label="Substitution alphabet">
+        <tr><th scope="row">Plain</th>${plain.map((letter, i) => `${cell(letter, i)}${letter}</td>`).join('')}</tr>
+        <tr><th scope="row">Cipher</th>${plain.map((letter, i) => `${cell(letter, i)}${node.alphabet[i]}</td>`).join('')}</tr>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Rotor machine stepping through a signal, one letter per step
+ * @param {RotorNode} node - Node to show
+ * @param {string} input - Signal reaching the node
+ * @param {number} step - Letters encrypted so far (0 = start positions)
+ * @param {boolean} playing - Whether the animation is running
+ * @returns {string} - HTML
+ */
+function renderRotorStepper(node, input, step, playing) {
+  const trace = node.trace(input);
+  const current = step > 0 ? trace[step - 1] : null;
+  const positions = current ? current.positions : node.start;
+  const stepped = current ? current.stepped : [false, false, false];
+  const letter = position => String.fromCharCode(position + 65);
+  const tape = pick => trace
+    .map((entry, i) => `<span${i === step - 1 ? ' class="rotor-current"' : ''}>${i < step ? pick(entry) : '·'}</span>`)
+    .join('');
+
+  return `
+    <div class="rotor-stepper" id="rotor-stepper">
+      <div class="rotor-windows">
+        ${node.settings.rotors.map((name, i) => `
+          <div class="rotor-window${stepped[i] ? ' rotor-stepped' : ''}">
+            <span class="rotor-name">${name}</span>
+            <span class="rotor-letter">${letter(positions[i])}</span>
+          </div>`).join('')}
+      </div>
+      <div class="rotor-tape">
+        <div><span class="rotor-tape-label">In</span>${trace.map((entry, i) => `<span${i === step - 1 ? ' class="rotor-current"' : ''}>${entry.input}</span>`).join('')}</div>
+        <div><span class="rotor-tape-label">Out</span>${tape(entry => entry.output)}</div>
+      </div>
+      <div class="rotor-caption" aria-live="polite">
+        ${current ? `${current.input} → ${current.output} at ${positions.map(letter).join('')}` : `Start positions ${node.key}`}
+      </div>
+      <div class="rotor-controls">
+        <button class="btn btn-secondary btn-rotor-play"${step >= trace.length && !playing ? ' disabled' : ''}>${playing ? '⏸ Pause' : '▶ Play'}</button>
+        <button class="btn btn-secondary btn-rotor-step"${step >= trace.length ? ' disabled' : ''}>Step</button>
+        <button class="btn btn-secondary btn-rotor-reset"${step === 0 ? ' disabled' : ''}>⟲ Reset</button>
+      </div>
+    </div>
+  `;
+}
+
 class CipherDashGame {
   constructor() {
     // Game state
@@ -10,161 +176,420 @@ class CipherDashGame {
     this.plaintext = '';
     this.pipeline = new CipherPipeline();
     this.ciphertext = '';
+    this.roundTrip = null; // Result of pipeline.verifyRoundTrip()
     this.lastScore = null;
     this.gameState = 'idle'; // 'idle', 'building', 'transmitting', 'complete'
 
     // Polygon builder
     this.polygonBuilder = null;
     this.polygonAnalyzer = null;
+    this.editingNodeIndex = null; // Pipeline node loaded back onto the canvas, if any
+    this.addNodeKind = 'shape'; // 'shape', or a kind for PolygonBuilder.createKeyedNode()
+    this.substitutionKeyword = ''; // Keyword for substitution nodes; empty shuffles by the drawing
+    this.inspectedNode = null; // Substitution or rotor node whose inspector is open in the pipeline
+    this.rotorSettings = { rotors: ['I', 'II', 'III'], rings: 'AAA', reflector: 'B', plugboard: '' };
+    this.rotorSettingsError = ''; // validateRotorSettings() error for rotorSettings
+    this.rotorStep = 0; // Letters the open rotor inspector has stepped through
+    this.rotorTimer = null; // Interval playing the rotor inspector
+
+    // Undo/redo for canvas and pipeline edits (shared with the builder)
+    this.history = new EditHistory();
+
+    // Built-in campaign, validated like any other level pack (see levels.js)
+    const campaign = validateLevelPack(DEFAULT_LEVEL_PACK);
+    if (!campaign.valid) {
+      console.error('Built-in level pack is invalid:', campaign.errors);
+    }
+    this.baseLevels = campaign.levels; // Levels as authored, before New Game+
+    this.loadedPacks = [campaign.id]; // Ids of the packs in this.baseLevels
+
+    // Saved progress (localStorage)
+    this.progress = new ProgressStore();
+    this.levelStartedAt = null; // When play time on the current level was last counted
+
+    this.levels = [];
+    this.rebuildLevels();
+  }
+
+  /**
+   * Derive the playable levels from the authored ones for the New Game+ cycle
+   */
+  rebuildLevels() {
+    const cycle = this.progress.getNewGamePlus();
+    this.levels = this.baseLevels.map(level => (cycle > 0 ? createNewGamePlusLevel(level, cycle) : level));
+  }
+
+  /**
+   * Add the time since the last count to the current level's play time
+   */
+  flushPlayTime() {
+    const levelData = this.getCurrentLevel();
+    if (!levelData || this.levelStartedAt === null) return;
+
+    const now = Date.now();
+    this.progress.addPlayTime(levelData.id, now - this.levelStartedAt);
+    this.levelStartedAt = now;
+  }
+
+  /**
+   * Stop counting play time while the tab is hidden
+   */
+  pausePlayTime() {
+    this.flushPlayTime();
+    this.levelStartedAt = null;
+  }
+
+  resumePlayTime() {
+    if (this.levelStartedAt === null) {
+      this.levelStartedAt = Date.now();
+    }
+  }
+
+  /**
+   * Start the game: resume the saved level if there is one, otherwise level 1
+   * Called once the polygon builder exists so the canvas can be restored
+   */
+  start() {
+    const current = this.progress.getCurrent();
+    const levelNum = current ? this.findLevelNumber(current.levelId) : null;
+
+    if (levelNum) {
+      this.resumeLevel(levelNum, current);
+    } else {
+      this.loadLevel(1);
+    }
+
+    // Returning players start on the level select screen
+    if (this.progress.hasProgress()) {
+      this.openLevelSelect();
+    }
+  }
+
+  /**
+   * Find a level's number from its id
+   * @param {string} levelId - Level id (see validateLevelPack)
+   * @returns {number|null} - Level number, or null if that level isn't loaded
+   */
+  findLevelNumber(levelId) {
+    const idx = this.levels.findIndex(level => level.id === levelId);
+    return idx >= 0 ? idx + 1 : null;
+  }
+
+  /**
+   * Load a level and restore its saved pipeline and canvas
+   * @param {number} levelNum - Level number
+   * @param {object} saved - {levelId, pipeline, canvas} from ProgressStore
+   */
+  resumeLevel(levelNum, saved) {
+    this.loadLevel(levelNum, { notify: false });
+
+    try {
+      this.pipeline.restore(saved.pipeline || []);
+    } catch (err) {
+      console.warn('Could not restore saved pipeline:', err);
+      this.pipeline.clear();
+    }
+
+    if (this.polygonBuilder && saved.canvas) {
+      this.polygonBuilder.setState(saved.canvas);
+      this.syncModeButtons();
+    }
+    this.history.clear();
+
+    this.updateCiphertext();
+    this.updatePolygonUI();
+    this.updateUI();
+    this.saveProgress();
+  }
+
+  /**
+   * Save the level being played, its pipeline and the canvas
+   * Called when the level or pipeline changes and when the page is hidden,
+   * never from the per-frame UI updates
+   */
+  saveProgress() {
+    const levelData = this.getCurrentLevel();
+    if (!levelData || !this.polygonBuilder) return;
+
+    this.progress.setCurrent({
+      levelId: levelData.id,
+      pipeline: this.pipeline.serialize(),
+      canvas: this.polygonBuilder.getState()
+    });
+  }
+
+  /**
+   * Whether a level can be picked from the level select screen
+   * The first level of every pack is open; others need the previous one done
+   */
+  isLevelUnlocked(levelNum) {
+    const level = this.levels[levelNum - 1];
+    if (!level) return false;
+    if (levelNum === 1 || this.progress.isCompleted(level.id)) return true;
+
+    const previous = this.levels[levelNum - 2];
+    return previous.pack !== level.pack || this.progress.isCompleted(previous.id);
+  }
+
+  /**
+   * Highlight the mode button that matches the builder's mode
+   */
+  syncModeButtons() {
+    const mode = this.polygonBuilder.mode;
+    document.querySelectorAll('.mode-selector .btn-mode').forEach(btn => {
+      btn.classList.toggle('btn-mode-active', btn.dataset.mode === mode);
+    });
+
+    const instructions = document.getElementById('mode-instructions');
+    if (instructions) {
+      instructions.textContent = MODE_INSTRUCTIONS[mode];
+    }
+  }
+
+  /**
+   * Switch the builder's drawing mode (undoable, since it clears the canvas)
+   */
+  setDrawingMode(mode) {
+    if (!this.polygonBuilder || this.polygonBuilder.mode === mode) return;
+
+    const before = this.captureEdit();
+    this.polygonBuilder.setMode(mode);
+    this.editingNodeIndex = null; // The canvas no longer holds the node
+    this.recordEdit(`Switch to ${mode} mode`, before);
+    this.syncModeButtons();
+    this.updatePolygonUI();
+  }
+
+  /**
+   * Snapshot the pipeline and canvas for the edit history
+   * Nodes are never mutated after creation, so sharing them is safe
+   */
+  captureEdit() {
+    return {
+      nodes: [...this.pipeline.nodes],
+      canvas: this.polygonBuilder ? this.polygonBuilder.getState() : null,
+      editingNodeIndex: this.editingNodeIndex
+    };
+  }
+
+  /**
+   * Put back a snapshot from captureEdit()
+   */
+  restoreEdit(snapshot) {
+    this.pipeline.nodes = [...snapshot.nodes];
+    this.editingNodeIndex = snapshot.editingNodeIndex;
+    if (this.polygonBuilder && snapshot.canvas) {
+      this.polygonBuilder.setState(snapshot.canvas);
+    }
+    this.updateCiphertext();
+    this.updateUI();
+  }
+
+  /**
+   * Record a pipeline (and canvas) edit as one history entry
+   * @param {string} label - What the edit did
+   * @param {object} before - captureEdit() taken before the edit
+   */
+  recordEdit(label, before) {
+    this.history.push(new SnapshotCommand(label, snapshot => this.restoreEdit(snapshot), before, this.captureEdit()));
+  }
+
+  /**
+   * Status read to screen readers after keyboard edits: the analyzer's
+   * metrics for the drawing, then what the pipeline still needs
+   */
+  getBuilderAnnouncement() {
+    const levelData = this.getCurrentLevel();
+    if (!levelData || !this.polygonBuilder || !this.polygonAnalyzer) return '';
 
-    // Difficulty levels with polygon objectives and resource limits
-    this.levels = [
-      {
-        level: 1,
-        plaintext: 'SIGNAL',
-        description: 'Beginner: Equilateral Triangle',
-        threshold: 40,
-        maxVertices: 5,
-        maxNodes: 1,
-        objective: 'Build an equilateral triangle (all sides equal)',
-        hint: 'Make all 3 sides roughly equal length. Margin of error: ±15%',
-        targetSides: [3],
-        targetConvex: true,
-        targetType: 'equilateral',
-        tolerance: 0.15
-      },
-      {
-        level: 2,
-        plaintext: 'WAVE',
-        description: 'Basic: Square',
-        threshold: 42,
-        maxVertices: 6,
-        maxNodes: 1,
-        objective: 'Build a square (4 equal sides, 90° angles)',
-        hint: 'All 4 sides equal, all angles 90°. Margin of error: ±10%',
-        targetSides: [4],
-        targetConvex: true,
-        targetType: 'square',
-        tolerance: 0.10
-      },
-      {
-        level: 3,
-        plaintext: 'CRYPTO',
-        description: 'Standard: 30-60-90 Triangle',
-        threshold: 43,
-        maxVertices: 7,
-        maxNodes: 1,
-        objective: 'Build a 30-60-90 triangle (angles: 30°, 60°, 90°)',
-        hint: 'Right triangle with one 30° and one 60° angle. Margin of error: ±5°',
-        targetSides: [3],
-        targetConvex: true,
-        targetType: '30-60-90',
-        tolerance: 0.087
-      },
-      {
-        level: 4,
-        plaintext: 'MESSAGE',
-        description: 'Challenge: Regular Hexagon',
-        threshold: 44,
-        maxVertices: 8,
-        maxNodes: 1,
-        objective: 'Build a regular hexagon (6 equal sides, 120° angles)',
-        hint: 'All 6 sides equal, all angles 120°. Margin of error: ±12%',
-        targetSides: [6],
-        targetConvex: true,
-        targetType: 'regular',
-        tolerance: 0.12
-      },
-      {
-        level: 5,
-        plaintext: 'ENCODED',
-        description: 'Advanced: Parallel Lines',
-        threshold: 45,
-        maxVertices: 9,
-        maxNodes: 1,
-        objective: 'Build a pair of parallel lines (never meet, same angle)',
-        hint: ' Two lines that stay same distance apart. Margin of error: 8',
-        targetSides: null,
-        targetConvex: false,
-        targetType: 'parallel-lines',
-        tolerance: 0.14
-      },
-      {
-        level: 6,
-        plaintext: 'CIPHER',
-        description: 'Expert: Perpendicular Lines',
-        threshold: 46,
-        maxVertices: 10,
-        maxNodes: 1,
-        objective: 'Build a pair of perpendicular lines (intersect at 90)',
-        hint: ' Two lines meeting at right angle. Margin of error: 5',
-        targetSides: null,
-        targetConvex: false,
-        targetType: 'perpendicular-lines',
-        tolerance: 0.087
-      },
-      {
-        level: 7,
-        plaintext: 'TRANSMIT',
-        description: 'Master: 15-75-90 Triangle',
-        threshold: 47,
-        maxVertices: 11,
-        maxNodes: 2,
-        objective: 'Build a 15-75-90 triangle (angles: 15, 75, 90)',
-        hint: ' Right triangle with one 15 and one 75 angle. Margin of error: 5',
-        targetSides: [3],
-        targetConvex: true,
-        targetType: '15-75-90',
-        tolerance: 0.087
-      },
-      {
-        level: 8,
-        plaintext: 'SECURITY',
-        description: 'Legend: Regular Pentagon',
-        threshold: 48,
-        maxVertices: 12,
-        maxNodes: 2,
-        objective: 'Build a regular pentagon (5 equal sides, 108 angles)',
-        hint: ' All 5 sides equal, all angles ~108. Margin of error: 10%',
-        targetSides: [5],
-        targetConvex: true,
-        targetType: 'regular',
-        tolerance: 0.10
-      },
-      {
-        level: 9,
-        plaintext: 'CLASSIFIED',
-        description: 'Classified: 65 Angle',
-        threshold: 49,
-        maxVertices: 11,
-        maxNodes: 2,
-        objective: 'Build an angle measuring 65 degrees',
-        hint: ' Create two rays from a point. Margin of error: 4',
-        targetSides: null,
-        targetConvex: false,
-        targetType: 'angle',
-        targetAngle: 65,
-        tolerance: 0.062
-      },
-      {
-        level: 10,
-        plaintext: 'ENCRYPTED',
-        description: 'Ultimate: 15 Angle',
-        threshold: 50,
-        maxVertices: 10,
-        maxNodes: 2,
-        objective: 'Build an angle measuring 15 degrees',
-        hint: ' Create two rays from a point. Margin of error: 2',
-        targetSides: null,
-        targetConvex: false,
-        targetType: 'angle',
-        targetAngle: 15,
-        tolerance: 0.035
+    const metrics = this.polygonAnalyzer.summarize(this.polygonBuilder);
+    const objective = this.checkObjectiveMet(levelData);
+    const status = objective.met
+      ? 'Objective met.'
+      : `Objective not met: ${objective.reasons.join('; ')}.`;
+
+    return `${metrics} ${status}`.trim();
+  }
+
+  /**
+   * Snaps the current level allows while Shift is held (see SNAP_TYPES)
+   */
+  getSnapping() {
+    const levelData = this.getCurrentLevel();
+    return levelData ? levelData.snapping : normalizeSnapping(true);
+  }
+
+  /**
+   * Angles the level asks for, drawn as guide rays on the canvas
+   * @returns {number[]} - Degrees (empty if the level has no target angle)
+   */
+  getTargetAngles(levelData = this.getCurrentLevel()) {
+    if (!levelData) return [];
+
+    switch (levelData.targetType) {
+      case 'angle':
+        return [levelData.targetAngle];
+      case '30-60-90':
+      case '15-75-90':
+        return levelData.targetType.split('-').map(Number);
+      case 'equilateral':
+      case 'square':
+      case 'regular': {
+        const sides = levelData.targetSides[0];
+        return [Math.round(((sides - 2) * 180 / sides) * 10) / 10];
       }
-    ];
+      case 'perpendicular-lines':
+        return [90];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Whether the player is mid-gesture on the canvas (undo would fight the drag)
+   */
+  isBuilderBusy() {
+    const builder = this.polygonBuilder;
+    return !!builder && (builder.draggingVertex !== null || !!builder.draggingAnglePoint || !!builder.circleDraft || !!builder.draggingLinePoint || !!builder.transformDrag);
+  }
 
+  undo() {
+    if (this.isBuilderBusy()) return;
 
-    this.loadLevel(1);
+    const command = this.history.undo();
+    if (command) {
+      console.log(`Undo: ${command.label}`);
+      this.afterHistoryChange();
+    }
+  }
+
+  redo() {
+    if (this.isBuilderBusy()) return;
+
+    const command = this.history.redo();
+    if (command) {
+      console.log(`Redo: ${command.label}`);
+      this.afterHistoryChange();
+    }
+  }
+
+  afterHistoryChange() {
+    this.syncModeButtons();
+    this.updatePolygonUI();
+    this.saveProgress();
+  }
+
+  openLevelSelect() {
+    if (this.levelEditor) this.levelEditor.close();
+    this.closeCampaignSummary();
+    this.renderLevelSelect();
+    document.body.classList.add('select-open');
+    document.getElementById('level-select').hidden = false;
+  }
+
+  closeLevelSelect() {
+    document.body.classList.remove('select-open');
+    document.getElementById('level-select').hidden = true;
+  }
+
+  /**
+   * Pick a level from the level select screen
+   * Replaying never clears progress; picking the current level just continues it
+   */
+  selectLevel(levelNum) {
+    if (!this.isLevelUnlocked(levelNum)) return;
+
+    if (levelNum !== this.currentLevel) {
+      this.loadLevel(levelNum);
+    }
+    this.closeLevelSelect();
+  }
+
+  /**
+   * Render the level select screen
+   */
+  renderLevelSelect() {
+    const continueBtn = document.getElementById('btn-continue');
+    if (continueBtn) {
+      const levelData = this.getCurrentLevel();
+      continueBtn.textContent = levelData
+        ? `▶ Continue Level ${this.currentLevel}: ${levelData.description}`
+        : '▶ Start';
+    }
+
+    const list = document.getElementById('level-select-list');
+    if (!list) return;
+
+    list.innerHTML = this.levels
+      .map((level, idx) => {
+        const levelNum = idx + 1;
+        const record = this.progress.getLevel(level.id);
+        const unlocked = this.isLevelUnlocked(levelNum);
+
+        let status = '🔒 Locked';
+        if (record.completed) {
+          status = `${formatStars(record.stars)} Best ${Math.round(record.bestScore)} · ${record.attempts} attempt(s)`;
+        } else if (unlocked) {
+          status = record.attempts > 0 ? `${record.attempts} attempt(s)` : 'New';
+        }
+
+        const classes = ['level-card'];
+        if (record.completed) classes.push('completed');
+        if (!unlocked) classes.push('locked');
+        if (levelNum === this.currentLevel) classes.push('current');
+
+        return `
+          <button class="${classes.join(' ')}" data-level="${levelNum}" ${unlocked ? '' : 'disabled'}>
+            <span class="level-card-number">${levelNum}</span>
+            <span class="level-card-title">${level.description}</span>
+            <span class="level-card-status">${status}</span>
+          </button>
+        `;
+      })
+      .join('');
+
+    list.querySelectorAll('.level-card').forEach(card => {
+      card.addEventListener('click', () => {
+        this.selectLevel(parseInt(card.dataset.level));
+      });
+    });
+  }
+
+  /**
+   * Append the levels of an extra level pack to the campaign. A pack whose
+   * id is already loaded replaces its old levels (e.g. replaying an edited
+   * pack from the level editor)
+   * @param {string} text - Pack JSON (format documented in levels.js)
+   * @returns {object} - Validation result from parseLevelPack()
+   */
+  loadLevelPackFromText(text) {
+    const result = parseLevelPack(text);
+    if (result.valid && result.id === this.loadedPacks[0]) {
+      result.valid = false;
+      result.errors = [`"${result.name}" uses the id of the built-in campaign (${result.id})`];
+    }
+    if (!result.valid) {
+      console.error('Level pack rejected:', result.errors);
+      return result;
+    }
+
+    if (this.loadedPacks.includes(result.id)) {
+      this.baseLevels = this.baseLevels.filter(level => level.pack !== result.id);
+      this.baseLevels.forEach((level, idx) => { level.level = idx + 1; });
+    } else {
+      this.loadedPacks.push(result.id);
+    }
+
+    // Renumber so the new levels continue after the existing ones
+    const firstNew = this.baseLevels.length + 1;
+    result.levels.forEach((level, idx) => {
+      this.baseLevels.push({ ...level, level: firstNew + idx });
+    });
+    this.rebuildLevels();
+
+    console.log(`Loaded level pack "${result.name}" (${result.levels.length} levels)`);
+    this.loadLevel(firstNew);
+    return result;
   }
 
   /**
@@ -176,16 +601,18 @@ class CipherDashGame {
 
   /**
    * Check if objective is met
+   * @param {object} levelData - Level to check against (defaults to the current level)
+   * @param {CipherPipeline} pipeline - Nodes to check (defaults to the player's pipeline)
    * @returns {object} - {met: boolean, reasons: string[]}
    */
-  checkObjectiveMet() {
-    const levelData = this.getCurrentLevel();
+  checkObjectiveMet(levelData = this.getCurrentLevel(), pipeline = this.pipeline) {
     const reasons = [];
     let met = true;
 
-    // Handle polygon-based objectives
+    // Polygon objectives: the required side counts come first, then the
+    // targetType check below always runs on the matching polygons
     if (levelData.targetSides) {
-      const nodesSides = this.pipeline.nodes
+      const nodesSides = pipeline.nodes
         .filter(node => node.type === 'polygon')
         .map(node => node.numSides);
 
@@ -198,7 +625,7 @@ class CipherDashGame {
 
       // Check if all nodes are convex (if required)
       if (levelData.targetConvex) {
-        for (const node of this.pipeline.nodes) {
+        for (const node of pipeline.nodes) {
           if (node.type === 'polygon' && !node.convex) {
             reasons.push('All polygons must be convex');
             met = false;
@@ -208,115 +635,54 @@ class CipherDashGame {
       }
 
       // Check node count doesn't exceed max
-      const polygonNodeCount = this.pipeline.nodes.filter(n => n.type === 'polygon').length;
+      const polygonNodeCount = pipeline.nodes.filter(n => n.type === 'polygon').length;
       if (polygonNodeCount > levelData.maxNodes) {
         reasons.push(`Too many polygon nodes (max ${levelData.maxNodes})`);
         met = false;
       }
     }
+
+    // A missing polygon is already reported by the side-count check above
+    const polygonsWithSides = sides => pipeline.nodes.filter(n => n.type === 'polygon' && n.numSides === sides);
+    const percentMargin = `${(levelData.tolerance * 100).toFixed(0)}% margin`;
+    const lineMargin = `${(levelData.tolerance * 180).toFixed(1)}° margin`;
+
     // Handle equilateral triangle
-    else if (levelData.targetType === 'equilateral') {
-      const triangles = this.pipeline.nodes.filter(n => n.type === 'polygon' && n.numSides === 3);
-      if (triangles.length === 0) {
-        reasons.push('Build a triangle');
+    if (levelData.targetType === 'equilateral') {
+      const triangles = polygonsWithSides(3);
+      if (triangles.length > 0 && !triangles.some(tri => tri.isEquilateral(levelData.tolerance))) {
+        reasons.push(`Triangle sides must be more equal (${percentMargin})`);
         met = false;
-      } else {
-        let foundEquilateral = false;
-        for (const tri of triangles) {
-          if (tri.isEquilateral && tri.isEquilateral(levelData.tolerance)) {
-            foundEquilateral = true;
-            break;
-          }
-        }
-        if (!foundEquilateral) {
-          reasons.push('Triangle sides must be more equal (15% margin)');
-          met = false;
-        }
       }
     }
     // Handle square
     else if (levelData.targetType === 'square') {
-      const quads = this.pipeline.nodes.filter(n => n.type === 'polygon' && n.numSides === 4);
-      if (quads.length === 0) {
-        reasons.push('Build a quadrilateral');
+      const quads = polygonsWithSides(4);
+      if (quads.length > 0 && !quads.some(quad => quad.isSquare(levelData.tolerance))) {
+        reasons.push(`All sides must be equal and angles ~90° (${percentMargin})`);
         met = false;
-      } else {
-        let foundSquare = false;
-        for (const quad of quads) {
-          if (quad.isSquare && quad.isSquare(levelData.tolerance)) {
-            foundSquare = true;
-            break;
-          }
-        }
-        if (!foundSquare) {
-          reasons.push('All sides must be equal and angles ~90 (10% margin)');
-          met = false;
-        }
       }
     }
-    // Handle 30-60-90 triangle
-    else if (levelData.targetType === '30-60-90') {
-      const triangles = this.pipeline.nodes.filter(n => n.type === 'polygon' && n.numSides === 3);
-      if (triangles.length === 0) {
-        reasons.push('Build a triangle');
+    // Handle 30-60-90 and 15-75-90 triangles
+    else if (levelData.targetType === '30-60-90' || levelData.targetType === '15-75-90') {
+      const targets = levelData.targetType.split('-').map(Number);
+      const triangles = polygonsWithSides(3);
+      if (triangles.length > 0 && !triangles.some(tri => this.checkTriangleAngles(tri, targets, levelData.tolerance))) {
+        reasons.push(`Triangle must have ${targets.join(', ')}° angles (${triangleAngleMargin(levelData.tolerance).toFixed(1)}° margin)`);
         met = false;
-      } else {
-        let found = false;
-        for (const tri of triangles) {
-          if (this.checkTriangleAngles(tri, [30, 60, 90], levelData.tolerance)) {
-            found = true;
-            break;
-          }
-        }
-        if (!found) {
-          reasons.push('Triangle must have 30, 60, and 90 angles (5 margin)');
-          met = false;
-        }
-      }
-    }
-    // Handle 15-75-90 triangle
-    else if (levelData.targetType === '15-75-90') {
-      const triangles = this.pipeline.nodes.filter(n => n.type === 'polygon' && n.numSides === 3);
-      if (triangles.length === 0) {
-        reasons.push('Build a triangle');
-        met = false;
-      } else {
-        let found = false;
-        for (const tri of triangles) {
-          if (this.checkTriangleAngles(tri, [15, 75, 90], levelData.tolerance)) {
-            found = true;
-            break;
-          }
-        }
-        if (!found) {
-          reasons.push('Triangle must have 15, 75, and 90 angles (5 margin)');
-          met = false;
-        }
       }
     }
     // Handle regular polygons
     else if (levelData.targetType === 'regular') {
-      const polygons = this.pipeline.nodes.filter(n => n.type === 'polygon' && n.numSides === levelData.targetSides[0]);
-      if (polygons.length === 0) {
-        reasons.push(`Build a ${levelData.targetSides[0]}-sided polygon`);
+      const polygons = polygonsWithSides(levelData.targetSides[0]);
+      if (polygons.length > 0 && !polygons.some(poly => poly.isRegular(levelData.tolerance))) {
+        reasons.push(`All sides must be equal and angles consistent (${percentMargin})`);
         met = false;
-      } else {
-        let foundRegular = false;
-        for (const poly of polygons) {
-          if (poly.isRegular && poly.isRegular(levelData.tolerance)) {
-            foundRegular = true;
-            break;
-          }
-        }
-        if (!foundRegular) {
-          reasons.push(`All sides must be equal and angles consistent (${(levelData.tolerance * 100).toFixed(0)}% margin)`);
-          met = false;
-        }
       }
     }
     // Handle parallel lines
     else if (levelData.targetType === 'parallel-lines') {
-      const lines = this.pipeline.nodes.filter(n => n.type === 'line');
+      const lines = pipeline.nodes.filter(n => n.type === 'line');
       if (lines.length < 2) {
         reasons.push('Build at least 2 lines');
         met = false;
@@ -332,14 +698,14 @@ class CipherDashGame {
           if (foundParallel) break;
         }
         if (!foundParallel) {
-          reasons.push('Lines must be parallel (8 margin)');
+          reasons.push(`Lines must be parallel (${lineMargin})`);
           met = false;
         }
       }
     }
     // Handle perpendicular lines
     else if (levelData.targetType === 'perpendicular-lines') {
-      const lines = this.pipeline.nodes.filter(n => n.type === 'line');
+      const lines = pipeline.nodes.filter(n => n.type === 'line');
       if (lines.length < 2) {
         reasons.push('Build at least 2 lines');
         met = false;
@@ -355,48 +721,21 @@ class CipherDashGame {
           if (foundPerpendicular) break;
         }
         if (!foundPerpendicular) {
-          reasons.push('Lines must intersect at 90 (5 margin)');
+          reasons.push(`Lines must intersect at 90° (${lineMargin})`);
           met = false;
         }
       }
     }
     // Handle angle objectives
     else if (levelData.targetType === 'angle') {
-      // Try to find angles from existing angle nodes
-      let angles = this.pipeline.nodes.filter(n => n.type === 'angle');
-      
-      // If no angle nodes, check if we can detect angles from lines
+      const angles = pipeline.nodes.filter(n => n.type === 'angle');
+      const angleMargin = levelData.targetAngle * levelData.tolerance;
+
       if (angles.length === 0) {
-        const lines = this.pipeline.nodes.filter(n => n.type === 'line');
-        
-        // Extract angles from all lines
-        const lineAngles = lines.map(line => this.getLineAngle(line) * (180 / Math.PI));
-        
-        // Check if any line angle matches the target (accounting for angle periodicity)
-        let foundAngle = false;
-        const angleMargin = levelData.targetAngle * levelData.tolerance;
-        
-        for (const lineAngle of lineAngles) {
-          // Normalize angle to 0-360
-          let normalizedAngle = lineAngle % 180;
-          if (normalizedAngle < 0) normalizedAngle += 180;
-          
-          // Check if this angle matches target
-          if (Math.abs(normalizedAngle - levelData.targetAngle) <= angleMargin ||
-              Math.abs(normalizedAngle - levelData.targetAngle + 180) <= angleMargin ||
-              Math.abs(normalizedAngle - levelData.targetAngle - 180) <= angleMargin) {
-            foundAngle = true;
-            break;
-          }
-        }
-        
-        if (!foundAngle) {
-          reasons.push(`Angle must be ${levelData.targetAngle} (${angleMargin.toFixed(1)} margin)`);
-          met = false;
-        }
+        reasons.push('Build an angle (vertex and two rays) in Angle mode');
+        met = false;
       } else {
         let foundAngle = false;
-        const angleMargin = levelData.targetAngle * levelData.tolerance;
         for (const angle of angles) {
           if (Math.abs(angle.measure - levelData.targetAngle) <= angleMargin) {
             foundAngle = true;
@@ -404,15 +743,15 @@ class CipherDashGame {
           }
         }
         if (!foundAngle) {
-          reasons.push(`Angle must be ${levelData.targetAngle} (${angleMargin.toFixed(1)} margin)`);
+          reasons.push(`Angle must be ${levelData.targetAngle}° (${angleMargin.toFixed(1)}° margin)`);
           met = false;
         }
       }
     }
     // Handle circle with tangent line
     else if (levelData.targetType === 'circle-tangent') {
-      const circles = this.pipeline.nodes.filter(n => n.type === 'circle');
-      const lines = this.pipeline.nodes.filter(n => n.type === 'line');
+      const circles = pipeline.nodes.filter(n => n.type === 'circle');
+      const lines = pipeline.nodes.filter(n => n.type === 'line');
       
       if (circles.length === 0) {
         reasons.push('Build a circle');
@@ -438,49 +777,97 @@ class CipherDashGame {
       }
     }
 
+    // Optional: the shape must also be recognized as the target
+    if (levelData.minRecognition) {
+      const recognition = this.checkShapeRecognition(levelData, pipeline);
+      if (!recognition.met) {
+        reasons.push(recognition.reason);
+        met = false;
+      }
+    }
+
     return { met, reasons };
   }
 
+  /**
+   * Grade the pipeline's best polygon with the freehand recognizer
+   * (levels with minRecognition; see RECOGNIZABLE_TARGET_TYPES)
+   * @returns {object} - {met, reason, regularity}
+   */
+  checkShapeRecognition(levelData, pipeline = this.pipeline) {
+    const sides = levelData.targetSides[0];
+    const expected = classifyPolygon(
+      Array.from({ length: sides }, (_, i) => ({ x: Math.cos(i * 2 * Math.PI / sides), y: Math.sin(i * 2 * Math.PI / sides) }))
+    ).label;
+
+    const candidates = pipeline.nodes
+      .filter(n => n.type === 'polygon' && n.numSides === sides)
+      .map(n => classifyPolygon(n.vertices))
+      .sort((a, b) => b.regularity - a.regularity);
+
+    const best = candidates[0];
+    if (!best) {
+      return { met: false, reason: `Build a shape the recognizer reads as a ${expected}`, regularity: 0 };
+    }
+
+    const percent = value => `${Math.round(value * 100)}%`;
+    return {
+      met: best.regularity >= levelData.minRecognition,
+      reason: `Shape must be recognized as a ${expected} with ${percent(levelData.minRecognition)} confidence ` +
+        `(best: ${best.label}, ${percent(best.regularity)})`,
+      regularity: best.regularity
+    };
+  }
+
   /**
    * Check if two lines are parallel
    */
   areParallel(line1, line2, tolerance) {
-    // Compare line slopes/angles
-    // tolerance in radians (converted from degrees)
-    const angle1 = this.getLineAngle(line1);
-    const angle2 = this.getLineAngle(line2);
-    const angleDiff = Math.abs(angle1 - angle2);
-    const normalizedDiff = Math.min(angleDiff, Math.PI - angleDiff);
-    return normalizedDiff <= tolerance * Math.PI;
+    // tolerance is a fraction of 180°
+    return this.getAngleBetweenLines(line1, line2) <= tolerance * 180;
   }
 
   /**
    * Check if two lines are perpendicular
    */
   arePerpendicular(line1, line2, tolerance) {
-    const angle1 = this.getLineAngle(line1);
-    const angle2 = this.getLineAngle(line2);
-    const angleDiff = Math.abs(angle1 - angle2);
-    const normalizedDiff = Math.min(angleDiff, Math.PI - angleDiff);
-    const perpendicularAngle = Math.PI / 2;
-    return Math.abs(normalizedDiff - perpendicularAngle) <= tolerance * Math.PI;
+    return Math.abs(this.getAngleBetweenLines(line1, line2) - 90) <= tolerance * 180;
+  }
+
+  /**
+   * Get the acute angle between the directions of two lines
+   * @returns {number} - Degrees in [0, 90]
+   */
+  getAngleBetweenLines(line1, line2) {
+    const diff = Math.abs(this.getLineAngle(line1) - this.getLineAngle(line2)) * 180 / Math.PI;
+    const folded = diff % 180;
+    return Math.min(folded, 180 - folded);
   }
 
   /**
    * Get line angle in radians
    */
   getLineAngle(line) {
+    const endpoints = this.getLineEndpoints(line);
+    if (!endpoints) return 0;
+    const [p1, p2] = endpoints;
+    return Math.atan2(p2.y - p1.y, p2.x - p1.x);
+  }
+
+  /**
+   * Get the two endpoints of a line
+   * @returns {Array|null} - [p1, p2] or null if the line has no endpoints
+   */
+  getLineEndpoints(line) {
     // Handle LineNode (has point1 and point2)
     if (line.point1 && line.point2) {
-      return Math.atan2(line.point2.y - line.point1.y, line.point2.x - line.point1.x);
+      return [line.point1, line.point2];
     }
     // Handle legacy format (has vertices)
     if (line.vertices && line.vertices.length >= 2) {
-      const p1 = line.vertices[0];
-      const p2 = line.vertices[line.vertices.length - 1];
-      return Math.atan2(p2.y - p1.y, p2.x - p1.x);
+      return [line.vertices[0], line.vertices[line.vertices.length - 1]];
     }
-    return 0;
+    return null;
   }
 
   /**
@@ -488,12 +875,12 @@ class CipherDashGame {
    */
   isLineTangentToCircle(line, circle, tolerance) {
     // Calculate distance from circle center to line
-    if (!line.vertices || line.vertices.length < 2 || !circle.center || circle.radius === undefined) {
+    const endpoints = this.getLineEndpoints(line);
+    if (!endpoints || !circle.center || circle.radius === undefined) {
       return false;
     }
     
-    const p1 = line.vertices[0];
-    const p2 = line.vertices[line.vertices.length - 1];
+    const [p1, p2] = endpoints;
     const dist = this.pointToLineDistance(circle.center, p1, p2);
     
     // Line is tangent if distance approximately equals circle radius
@@ -514,42 +901,118 @@ class CipherDashGame {
    * Check if a triangle has the specified angles
    * @param {PolygonNode} tri - Triangle node
    * @param {Array<number>} targetAngles - Target angles in degrees [a, b, c]
-   * @param {number} tolerance - Tolerance as decimal (0.05 = 5%)
+   * @param {number} tolerance - Level tolerance (see triangleAngleMargin)
    * @returns {boolean} True if triangle angles match targets
    */
   checkTriangleAngles(tri, targetAngles, tolerance) {
-    if (!tri.vertices || tri.vertices.length !== 3) return false;
-    
-    // Calculate the three angles of the triangle
-    const v1 = tri.vertices[0];
-    const v2 = tri.vertices[1];
-    const v3 = tri.vertices[2];
-    
-    // Helper to calculate angle at a vertex
-    const calcAngle = (center, p1, p2) => {
-      const vec1 = { x: p1.x - center.x, y: p1.y - center.y };
-      const vec2 = { x: p2.x - center.x, y: p2.y - center.y };
-      const dot = vec1.x * vec2.x + vec1.y * vec2.y;
-      const det = vec1.x * vec2.y - vec1.y * vec2.x;
-      return Math.abs(Math.atan2(det, dot) * 180 / Math.PI);
-    };
-    
+    const error = this.getTriangleAngleError(tri, targetAngles);
+    return error !== null && error <= triangleAngleMargin(tolerance);
+  }
+
+  /**
+   * Largest gap between a triangle's angles and the target angles
+   * @param {PolygonNode} tri - Triangle node
+   * @param {Array<number>} targetAngles - Target angles in degrees [a, b, c]
+   * @returns {number|null} - Worst angle error in degrees, or null if not a triangle
+   */
+  getTriangleAngleError(tri, targetAngles) {
+    if (!tri.vertices || tri.vertices.length !== 3) return null;
+
+    const [v1, v2, v3] = tri.vertices;
+
     // Calculate all three interior angles
-    const angle1 = calcAngle(v1, v2, v3);
-    const angle2 = calcAngle(v2, v1, v3);
-    const angle3 = calcAngle(v3, v1, v2);
-    
-    const triangleAngles = [angle1, angle2, angle3].sort((a, b) => a - b);
+    const triangleAngles = [
+      angleAt(v1, v2, v3),
+      angleAt(v2, v1, v3),
+      angleAt(v3, v1, v2)
+    ].sort((a, b) => a - b);
     const sortedTargets = targetAngles.slice().sort((a, b) => a - b);
-    
-    // Check if angles match targets within tolerance
-    const angleTolerance = 5; // Allow 5 degrees
-    for (let i = 0; i < 3; i++) {
-      if (Math.abs(triangleAngles[i] - sortedTargets[i]) > angleTolerance) {
-        return false;
+
+    return Math.max(...triangleAngles.map((angle, i) => Math.abs(angle - sortedTargets[i])));
+  }
+
+  /**
+   * Measure how far the closest matching shape is from the ideal one
+   * @param {object} levelData - Level to measure against (defaults to the current level)
+   * @param {CipherPipeline} pipeline - Nodes to measure (defaults to the player's pipeline)
+   * @returns {object|null} - {deviation, margin, unit} in the same unit ('%' as a
+   *   fraction, or '°'), or null if there is no shape to measure
+   */
+  measureDeviation(levelData = this.getCurrentLevel(), pipeline = this.pipeline) {
+    const nodes = pipeline.nodes;
+    const lines = nodes.filter(n => n.type === 'line');
+    const best = values => (values.length > 0 ? Math.min(...values) : null);
+    const linePairs = measure => {
+      const values = [];
+      for (let i = 0; i < lines.length; i++) {
+        for (let j = i + 1; j < lines.length; j++) {
+          values.push(measure(lines[i], lines[j]));
+        }
+      }
+      return values;
+    };
+
+    switch (levelData.targetType) {
+      case 'equilateral':
+      case 'square':
+      case 'regular': {
+        // The same measure the objective checks: side spread for a triangle,
+        // side spread and angle error for a square or regular polygon
+        const sides = levelData.targetSides ? levelData.targetSides[0] : null;
+        const polygons = nodes.filter(n => n.type === 'polygon' && (!sides || n.numSides === sides));
+        const measure = poly => (levelData.targetType === 'equilateral' ? poly.getSideSpread() : poly.getRegularityError());
+        const deviation = best(polygons.map(measure));
+        return deviation === null ? null : { deviation, margin: levelData.tolerance, unit: '%' };
+      }
+      case '30-60-90':
+      case '15-75-90': {
+        const targets = levelData.targetType.split('-').map(Number);
+        const triangles = nodes.filter(n => n.type === 'polygon' && n.numSides === 3);
+        const deviation = best(triangles.map(tri => this.getTriangleAngleError(tri, targets)));
+        return deviation === null ? null : { deviation, margin: triangleAngleMargin(levelData.tolerance), unit: '°' };
       }
+      case 'parallel-lines': {
+        const deviation = best(linePairs((a, b) => this.getAngleBetweenLines(a, b)));
+        return deviation === null ? null : { deviation, margin: levelData.tolerance * 180, unit: '°' };
+      }
+      case 'perpendicular-lines': {
+        const deviation = best(linePairs((a, b) => Math.abs(this.getAngleBetweenLines(a, b) - 90)));
+        return deviation === null ? null : { deviation, margin: levelData.tolerance * 180, unit: '°' };
+      }
+      case 'angle': {
+        const angles = nodes.filter(n => n.type === 'angle');
+        const deviation = best(angles.map(angle => Math.abs(angle.measure - levelData.targetAngle)));
+        return deviation === null ? null : { deviation, margin: levelData.targetAngle * levelData.tolerance, unit: '°' };
+      }
+      case 'circle-tangent': {
+        const values = [];
+        for (const circle of nodes.filter(n => n.type === 'circle')) {
+          for (const line of lines) {
+            const [p1, p2] = this.getLineEndpoints(line);
+            values.push(Math.abs(this.pointToLineDistance(circle.center, p1, p2) - circle.radius) / circle.radius);
+          }
+        }
+        const deviation = best(values);
+        return deviation === null ? null : { deviation, margin: levelData.tolerance, unit: '%' };
+      }
+      default:
+        return null;
     }
-    return true;
+  }
+
+  /**
+   * Turn a deviation into a 1-3 star rating for a passed level
+   * Within a third of the margin earns 3 stars, two thirds earns 2
+   * @param {object|null} measurement - Result of measureDeviation()
+   * @returns {number} - Stars (1-3)
+   */
+  rateAccuracy(measurement) {
+    if (!measurement || !(measurement.margin > 0)) return 1;
+
+    const ratio = measurement.deviation / measurement.margin;
+    if (ratio <= STAR_THRESHOLDS[3]) return 3;
+    if (ratio <= STAR_THRESHOLDS[2]) return 2;
+    return 1;
   }
 
   /**
@@ -558,10 +1021,13 @@ class CipherDashGame {
   getResourceUsage() {
     const levelData = this.getCurrentLevel();
     
-    // Count vertices used in pipeline nodes
+    // Count vertices used in pipeline nodes: any node with a vertices array,
+    // so keyed nodes drawn from a polygon cost the same as a PolygonNode
+    // (a node being edited is counted through the builder instead)
     let pipelineVerticesUsed = 0;
-    for (const node of this.pipeline.nodes) {
-      if (node.type === 'polygon' && node.vertices) {
+    for (const [index, node] of this.pipeline.nodes.entries()) {
+      if (index === this.editingNodeIndex) continue;
+      if (node.vertices) {
         pipelineVerticesUsed += node.vertices.length;
       }
     }
@@ -572,7 +1038,7 @@ class CipherDashGame {
       : 0;
     
     const verticesUsed = pipelineVerticesUsed + builderVertices;
-    const nodesUsed = this.pipeline.nodes.filter(n => n.type === 'polygon').length;
+    const nodesUsed = this.pipeline.nodes.filter(n => LIMITED_NODE_TYPES.includes(n.type)).length;
 
     return {
       verticesUsed,
@@ -586,32 +1052,41 @@ class CipherDashGame {
 
   /**
    * Load a specific level
-   * @param {number} levelNum - Level number (1-10)
+   * @param {number} levelNum - Level number (1-based)
+   * @param {object} options - {notify: false} skips the level change banner
    */
-  loadLevel(levelNum) {
+  loadLevel(levelNum, options = {}) {
     const levelData = this.levels[levelNum - 1];
     if (!levelData) {
       console.error(`Level ${levelNum} not found`);
       return;
     }
 
+    this.flushPlayTime();
+    this.levelStartedAt = Date.now();
+
     this.currentLevel = levelNum;
     this.plaintext = levelData.plaintext;
     this.pipeline.clear();
     this.ciphertext = '';
+    this.roundTrip = null;
     this.lastScore = null;
     this.lastResults = null;
     this.gameState = 'building';
     
-    // Clear polygon builder for new level
+    // Clear polygon builder for new level; edits don't carry across levels
     this.clearPolygon();
+    this.history.clear();
 
     console.log(`Loaded Level ${levelNum}: "${this.plaintext}"`);
     
     // Show visual level change indicator
-    this.displayLevelChangeNotification(levelNum);
+    if (options.notify !== false) {
+      this.displayLevelChangeNotification(levelNum);
+    }
     
     this.updateUI();
+    this.saveProgress();
   }
 
   /**
@@ -651,55 +1126,277 @@ class CipherDashGame {
   }
 
   /**
-   * Add a node to the cipher pipeline
-   * @param {string} nodeType - 'shift', 'reverse', or 'multiply'
-   * @param {number} key - Optional key value
+   * Add a node to the cipher pipeline
+   * @param {string} nodeType - 'shift', 'reverse', or 'multiply'
+   * @param {number} key - Optional key value
+   */
+  addNode(nodeType, key = null) {
+    let node;
+
+    switch (nodeType) {
+      case 'shift':
+        node = new ShiftNode(key || 3);
+        break;
+      case 'reverse':
+        node = new ReverseNode();
+        break;
+      case 'multiply':
+        node = new MultiplyNode(key || 5);
+        break;
+      default:
+        console.error(`Unknown node type: ${nodeType}`);
+        return;
+    }
+
+    const before = this.captureEdit();
+    this.pipeline.addNode(node);
+    this.recordEdit(`Add ${node.name}`, before);
+    console.log(`Added ${node.name} node`);
+    this.updateCiphertext();
+    this.updateUI();
+    this.saveProgress();
+  }
+
+  /**
+   * Remove the last node from the pipeline
+   */
+  removeLastNode() {
+    if (this.pipeline.length() > 0) {
+      const before = this.captureEdit();
+      this.pipeline.removeNode(this.pipeline.length() - 1);
+      this.shiftEditingNode(this.pipeline.length());
+      this.recordEdit('Remove node', before);
+      console.log('Removed last node from pipeline');
+      this.updateCiphertext();
+      this.updateUI();
+      this.saveProgress();
+    }
+  }
+
+  /**
+   * Remove a specific node by index
+   */
+  removeNodeByIndex(index) {
+    if (index >= 0 && index < this.pipeline.length()) {
+      const before = this.captureEdit();
+      this.pipeline.removeNode(index);
+      this.shiftEditingNode(index);
+      this.recordEdit('Remove node', before);
+      this.updateCiphertext();
+      this.updateUI();
+      this.saveProgress();
+    }
+  }
+
+  /**
+   * Keep editingNodeIndex pointing at the same node after one is removed
+   * @param {number} removedIndex - Index of the removed node
+   */
+  shiftEditingNode(removedIndex) {
+    if (this.editingNodeIndex === null) return;
+    if (this.editingNodeIndex === removedIndex) {
+      // The node is gone; the drawing stays and will be added as new
+      this.editingNodeIndex = null;
+    } else if (this.editingNodeIndex > removedIndex) {
+      this.editingNodeIndex--;
+    }
+  }
+
+  /**
+   * Load a geometry node from the pipeline back onto the canvas so it can
+   * be reshaped; Add to Pipeline then replaces it in place
+   * @param {number} index - Pipeline index
+   */
+  editNode(index) {
+    const node = this.pipeline.nodes[index];
+    const state = node && this.polygonBuilder ? getNodeCanvasState(node) : null;
+    if (!state) return;
+
+    const before = this.captureEdit();
+    this.polygonBuilder.setState(state);
+    if (state.mode === 'polygon') {
+      this.polygonBuilder.selectShape({ kind: 'polygon' });
+    } else if (state.mode === 'line') {
+      this.polygonBuilder.selectShape({ kind: 'line', index: 0 });
+    }
+    this.editingNodeIndex = index;
+    this.recordEdit(`Edit node ${index + 1}`, before);
+    // Update it as the same kind of node
+    this.setAddNodeKind(ADD_NODE_KIND_HINTS[node.type] ? node.type : 'shape');
+    if (node.type === 'substitution') this.setSubstitutionKeyword(''); // Key it by the shape again
+    if (node.type === 'rotor') this.setRotorSettings(node.settings);
+
+    this.syncModeButtons();
+    this.updatePolygonUI();
+    this.updateUI();
+    this.polygonBuilder.announce(`Editing node ${index + 1} on the canvas.`);
+  }
+
+  /**
+   * Choose what Add to Pipeline builds from the drawing
+   * @param {string} kind - 'shape' or a PolygonBuilder.createKeyedNode() kind
+   */
+  setAddNodeKind(kind) {
+    this.addNodeKind = kind;
+    const select = document.getElementById('polygon-add-as');
+    if (select) select.value = kind;
+    const keywordLabel = document.getElementById('polygon-keyword-label');
+    if (keywordLabel) keywordLabel.hidden = kind !== 'substitution';
+    const rotorFields = document.getElementById('rotor-settings');
+    if (rotorFields) rotorFields.hidden = kind !== 'rotor';
+    if (this.polygonBuilder) this.polygonBuilder.setKeyKind(kind);
+    this.updatePolygonUI();
+  }
+
+  /**
+   * Set the keyword substitution nodes take their alphabet from
+   * @param {string} keyword - Any text; empty to shuffle by the drawing instead
+   */
+  setSubstitutionKeyword(keyword) {
+    this.substitutionKeyword = keyword.toUpperCase().replace(/[^A-Z]/g, '');
+    const input = document.getElementById('polygon-substitution-keyword');
+    if (input && input.value.toUpperCase().replace(/[^A-Z]/g, '') !== this.substitutionKeyword) {
+      input.value = this.substitutionKeyword;
+    }
+    this.updatePolygonUI();
+  }
+
+  /**
+   * Set the rotors, rings, reflector and plugboard new rotor nodes use
+   * @param {object} settings - See validateRotorSettings
+   */
+  setRotorSettings(settings) {
+    this.rotorSettings = {
+      rotors: [...settings.rotors],
+      rings: settings.rings.toUpperCase(),
+      reflector: settings.reflector,
+      plugboard: settings.plugboard.toUpperCase()
+    };
+    this.rotorSettingsError = validateRotorSettings(this.rotorSettings).error;
+
+    // Sync the fields (editing a node loads its settings)
+    const fields = {
+      'rotor-left': this.rotorSettings.rotors[0],
+      'rotor-middle': this.rotorSettings.rotors[1],
+      'rotor-right': this.rotorSettings.rotors[2],
+      'rotor-rings': this.rotorSettings.rings,
+      'rotor-reflector': this.rotorSettings.reflector,
+      'rotor-plugboard': this.rotorSettings.plugboard
+    };
+    for (const [id, value] of Object.entries(fields)) {
+      const field = document.getElementById(id);
+      if (field && field.value.toUpperCase() !== value) field.value = value;
+    }
+    const errorElem = document.getElementById('rotor-settings-error');
+    if (errorElem) errorElem.textContent = this.rotorSettingsError;
+
+    this.updatePolygonUI();
+  }
+
+  /**
+   * The node Add to Pipeline builds for addNodeKind (a keyword substitution
+   * needs no drawing; every other kind is keyed by the canvas)
+   * @returns {CipherNode|null}
+   */
+  createKeyedNode() {
+    if (this.addNodeKind === 'substitution' && this.substitutionKeyword) {
+      return new SubstitutionNode(this.substitutionKeyword);
+    }
+    return this.polygonBuilder.createKeyedNode(this.addNodeKind, {
+      rotorSettings: this.rotorSettingsError ? null : this.rotorSettings
+    });
+  }
+
+  /**
+   * Signal reaching a pipeline node (the plaintext after the nodes before it)
+   * @param {number} index - Pipeline index
+   */
+  getNodeInput(index) {
+    return this.pipeline.nodes.slice(0, index).reduce((signal, node) => node.apply(signal), this.plaintext.toUpperCase());
+  }
+
+  /**
+   * Open or close a node's inspector in the pipeline panel: the alphabet
+   * table of a substitution node, the stepping view of a rotor node
+   * @param {number} index - Pipeline index
+   */
+  toggleInspector(index) {
+    const node = this.pipeline.nodes[index];
+    this.inspectedNode = node && node !== this.inspectedNode ? node : null;
+    this.stopRotorSteps();
+    this.rotorStep = 0;
+    this.renderPipeline();
+  }
+
+  /**
+   * Play or pause the open rotor inspector, one letter per tick
    */
-  addNode(nodeType, key = null) {
-    let node;
+  toggleRotorPlay() {
+    if (this.rotorTimer) {
+      this.stopRotorSteps();
+    } else {
+      this.rotorTimer = setInterval(() => this.stepRotor(), 600);
+    }
+    this.refreshRotorStepper();
+  }
 
-    switch (nodeType) {
-      case 'shift':
-        node = new ShiftNode(key || 3);
-        break;
-      case 'reverse':
-        node = new ReverseNode();
-        break;
-      case 'multiply':
-        node = new MultiplyNode(key || 5);
-        break;
-      default:
-        console.error(`Unknown node type: ${nodeType}`);
-        return;
+  /**
+   * Encrypt the next letter in the open rotor inspector
+   */
+  stepRotor() {
+    const index = this.pipeline.nodes.indexOf(this.inspectedNode);
+    if (index === -1 || this.inspectedNode.type !== 'rotor') {
+      this.stopRotorSteps();
+      return;
     }
 
-    this.pipeline.addNode(node);
-    console.log(`Added ${node.name} node`);
-    this.updateCiphertext();
-    this.updateUI();
+    const length = this.getNodeInput(index).length;
+    this.rotorStep = Math.min(this.rotorStep + 1, length);
+    if (this.rotorStep >= length) this.stopRotorSteps();
+    this.refreshRotorStepper();
   }
 
   /**
-   * Remove the last node from the pipeline
+   * Back to the rotors' start positions
    */
-  removeLastNode() {
-    if (this.pipeline.length() > 0) {
-      this.pipeline.removeNode(this.pipeline.length() - 1);
-      console.log('Removed last node from pipeline');
-      this.updateCiphertext();
-      this.updateUI();
-    }
+  resetRotorSteps() {
+    this.stopRotorSteps();
+    this.rotorStep = 0;
+    this.refreshRotorStepper();
   }
 
   /**
-   * Remove a specific node by index
+   * Stop playing the rotor inspector (it stays on the current letter)
    */
-  removeNodeByIndex(index) {
-    if (index >= 0 && index < this.pipeline.length()) {
-      this.pipeline.removeNode(index);
-      this.updateCiphertext();
-      this.updateUI();
+  stopRotorSteps() {
+    clearInterval(this.rotorTimer);
+    this.rotorTimer = null;
+  }
+
+  /**
+   * Redraw just the rotor inspector (the rest of the pipeline is unchanged)
+   */
+  refreshRotorStepper() {
+    const elem = document.getElementById('rotor-stepper');
+    const index = this.pipeline.nodes.indexOf(this.inspectedNode);
+    if (!elem || index === -1) {
+      this.stopRotorSteps();
+      return;
     }
+
+    elem.outerHTML = renderRotorStepper(this.inspectedNode, this.getNodeInput(index), this.rotorStep, Boolean(this.rotorTimer));
+    this.bindRotorStepper();
+  }
+
+  /**
+   * Wire the rotor inspector's Play, Step and Reset buttons
+   */
+  bindRotorStepper() {
+    const elem = document.getElementById('rotor-stepper');
+    if (!elem) return;
+    elem.querySelector('.btn-rotor-play')?.addEventListener('click', () => this.toggleRotorPlay());
+    elem.querySelector('.btn-rotor-step')?.addEventListener('click', () => this.stepRotor());
+    elem.querySelector('.btn-rotor-reset')?.addEventListener('click', () => this.resetRotorSteps());
   }
 
   /**
@@ -707,43 +1404,103 @@ class CipherDashGame {
    */
   updateCiphertext() {
     this.ciphertext = this.pipeline.encrypt(this.plaintext);
+    this.roundTrip = this.pipeline.isEmpty() ? null : this.pipeline.verifyRoundTrip(this.plaintext);
   }
 
   /**
-   * Transmit the signal (evaluate cipher based on objective only)
+   * Transmit the signal
+   * Scores the ciphertext, runs the attack suite, and gates passing on both
+   * the geometric objective and the level's minimum score
    */
   transmitSignal() {
     this.gameState = 'transmitting';
+    this.updateCiphertext();
+
+    const levelData = this.getCurrentLevel();
 
     // Check if objective is met
     const objectiveCheck = this.checkObjectiveMet();
-    
-    // Pass is simply whether objective is met
-    const passed = objectiveCheck.met;
+
+    // Score the cipher and simulate attacks against it
+    const breakdown = evaluateCipher(this.plaintext, this.ciphertext, this.pipeline);
+    const attackResults = runAttacks(this.plaintext, this.ciphertext, this.pipeline);
+    const patterns = detectPatterns(this.ciphertext);
+    const scorePassed = checkPass(breakdown.final, levelData.threshold);
+
+    const passed = objectiveCheck.met && scorePassed;
+    this.lastScore = breakdown.final;
+
+    // Grade how accurately the shape was drawn
+    const accuracy = this.measureDeviation(levelData);
+    const stars = passed ? this.rateAccuracy(accuracy) : 0;
+
+    this.flushPlayTime();
+    const previousRecord = this.progress.getLevel(levelData.id);
+    this.progress.recordAttempt(levelData.id, breakdown.final, passed, {
+      stars,
+      deviation: accuracy ? accuracy.deviation : null
+    });
 
     // Store results for UI display
     this.lastResults = {
       objectiveCheck,
+      breakdown,
+      attackResults,
+      patterns,
+      threshold: levelData.threshold,
+      scorePassed,
+      accuracy,
+      stars,
+      newBestStars: passed && stars > previousRecord.stars,
       passed,
-      feedback: passed ? '✓ Objective met! Level complete!' : '✗ Objective not met. Try again!'
+      feedback: generateFeedback(breakdown, this.plaintext, this.ciphertext)
     };
 
     this.gameState = passed ? 'complete' : 'idle';
     this.updateUI();
 
+    // Intercepted signals get the attack animation
+    if (!passed && attackResults.showAnimation) {
+      this.playAttackAnimation();
+    }
+
     return this.lastResults;
   }
 
+  /**
+   * Flash the attack animation over the game container
+   */
+  playAttackAnimation() {
+    const container = document.querySelector('.container');
+    if (!container) return;
+
+    container.classList.remove('attack-animation');
+    // Force reflow so the animation restarts on repeated failures
+    void container.offsetWidth;
+    container.classList.add('attack-animation');
+
+    setTimeout(() => {
+      container.classList.remove('attack-animation');
+    }, 5000);
+  }
+
   /**
    * Reset to building mode (keep level)
    */
   resetCipher() {
+    const before = this.captureEdit();
     this.pipeline.clear();
+    this.editingNodeIndex = null;
+    if (before.nodes.length > 0) {
+      this.recordEdit('Reset pipeline', before);
+    }
     this.ciphertext = '';
+    this.roundTrip = null;
     this.lastScore = null;
     this.lastResults = null;
     this.gameState = 'building';
     this.updateUI();
+    this.saveProgress();
   }
 
   /**
@@ -754,12 +1511,133 @@ class CipherDashGame {
       this.loadLevel(this.currentLevel + 1);
     } else {
       console.log('Game complete! All levels passed.');
-      // TODO: Show congratulations screen, restart options
+      this.openCampaignSummary();
     }
   }
 
   /**
-   * Add a polygon or line node from the builder
+   * Totals across every level of the current cycle
+   * @returns {object} - {rows, attempts, timeMs, stars, maxStars, completed}
+   */
+  getCampaignSummary() {
+    const rows = this.levels.map((level, idx) => ({
+      levelNum: idx + 1,
+      level,
+      record: this.progress.getLevel(level.id)
+    }));
+
+    return {
+      rows,
+      attempts: rows.reduce((sum, row) => sum + row.record.attempts, 0),
+      timeMs: rows.reduce((sum, row) => sum + row.record.timeMs, 0),
+      stars: rows.reduce((sum, row) => sum + row.record.stars, 0),
+      maxStars: rows.length * 3,
+      completed: rows.filter(row => row.record.completed).length
+    };
+  }
+
+  openCampaignSummary() {
+    if (this.levelEditor) this.levelEditor.close();
+    this.closeLevelSelect();
+    this.renderCampaignSummary();
+    document.body.classList.add('summary-open');
+    document.getElementById('campaign-summary').hidden = false;
+  }
+
+  closeCampaignSummary() {
+    document.body.classList.remove('summary-open');
+    document.getElementById('campaign-summary').hidden = true;
+  }
+
+  /**
+   * Start the current cycle over from level 1, clearing its records
+   */
+  restartCampaign() {
+    if (!confirm('Restart the campaign? Stars and scores for this run will be cleared.')) return;
+
+    this.progress.resetLevels(this.levels.map(level => level.id));
+    this.closeCampaignSummary();
+    this.loadLevel(1);
+  }
+
+  /**
+   * Replay the campaign with tighter tolerances and fewer vertices
+   * Earlier cycles keep their records since New Game+ levels have their own ids
+   */
+  startNewGamePlus() {
+    this.flushPlayTime();
+    this.progress.setNewGamePlus(this.progress.getNewGamePlus() + 1);
+    this.rebuildLevels();
+    this.closeCampaignSummary();
+    this.loadLevel(1);
+  }
+
+  /**
+   * Replay a single level from the summary screen
+   */
+  replayLevel(levelNum) {
+    this.closeCampaignSummary();
+    this.loadLevel(levelNum);
+  }
+
+  /**
+   * Render the end-of-campaign summary screen
+   */
+  renderCampaignSummary() {
+    const elem = document.getElementById('campaign-summary-content');
+    if (!elem) return;
+
+    const summary = this.getCampaignSummary();
+    const cycle = this.progress.getNewGamePlus();
+    const formatTime = ms => {
+      const totalSeconds = Math.round(ms / 1000);
+      const minutes = Math.floor(totalSeconds / 60);
+      const seconds = String(totalSeconds % 60).padStart(2, '0');
+      return `${minutes}:${seconds}`;
+    };
+
+    const rows = summary.rows
+      .map(({ levelNum, level, record }) => `
+        <tr class="${record.completed ? 'completed' : ''}">
+          <td>${levelNum}</td>
+          <td>${level.description}</td>
+          <td class="stars">${formatStars(record.stars)}</td>
+          <td>${record.bestScore === null ? '—' : Math.round(record.bestScore)}</td>
+          <td>${record.attempts}</td>
+          <td>${formatTime(record.timeMs)}</td>
+          <td>
+            <button class="btn btn-secondary btn-replay" data-level="${levelNum}" ${this.isLevelUnlocked(levelNum) ? '' : 'disabled'}>
+              Replay
+            </button>
+          </td>
+        </tr>
+      `)
+      .join('');
+
+    elem.innerHTML = `
+      <h2>🏁 ${cycle > 0 ? `New Game+${cycle} ` : ''}Campaign Complete!</h2>
+      <div class="summary-totals">
+        <div><span class="label">Levels</span><span class="value">${summary.completed}/${summary.rows.length}</span></div>
+        <div><span class="label">Stars</span><span class="value">${summary.stars}/${summary.maxStars}</span></div>
+        <div><span class="label">Attempts</span><span class="value">${summary.attempts}</span></div>
+        <div><span class="label">Time</span><span class="value">${formatTime(summary.timeMs)}</span></div>
+      </div>
+      <table class="summary-table">
+        <thead>
+          <tr><th>#</th><th>Level</th><th>Stars</th><th>Best</th><th>Attempts</th><th>Time</th><th></th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+
+    elem.querySelectorAll('.btn-replay').forEach(btn => {
+      btn.addEventListener('click', () => this.replayLevel(parseInt(btn.dataset.level)));
+    });
+  }
+
+  /**
+   * Add the builder's current shapes (polygon, lines, circles or angles) as nodes,
+   * or one node keyed by them when addNodeKind is not 'shape'
    */
   addPolygonNode() {
     if (!this.polygonBuilder) {
@@ -767,70 +1645,66 @@ class CipherDashGame {
       return;
     }
 
-    const isLineMode = this.polygonBuilder.mode === 'line';
-
-    // For line mode, check if we have completed lines or current line
-    if (isLineMode) {
-      const completedLines = this.polygonBuilder.completedLines || [];
-      const hasLines = completedLines.length > 0 || (this.polygonBuilder.linePoints && this.polygonBuilder.linePoints.length === 2);
-      
-      if (!hasLines) {
-        console.error('No lines to add');
-        return;
-      }
-      
-      // Add all completed lines
-      let addedCount = 0;
-      
-      for (const line of completedLines) {
-        // Recalculate resources each time
-        const currentResources = this.getResourceUsage();
-        if (currentResources.nodesUsed >= currentResources.nodesMax) {
-          if (addedCount > 0) {
-            alert(`Added ${addedCount} line(s). Node limit reached!`);
-          } else {
-            alert(`Node limit reached! (${currentResources.nodesMax} max per level)`);
-          }
-          break;
-        }
-        
-        const node = new LineNode(line[0], line[1]);
-        this.pipeline.addNode(node);
-        console.log(`Added line node: ${node.describe()}`);
-        addedCount++;
-      }
-      
-      // Clear all lines after adding
-      this.polygonBuilder.completedLines = [];
-      this.polygonBuilder.linePoints = [];
-      this.polygonBuilder.isValid = false;
-      this.polygonBuilder.validationError = '0/2 points in current line';
-      this.polygonBuilder.draw();
-    } else {
-      // Polygon mode - check if valid
-      if (!this.polygonBuilder.isValid) {
-        console.error('Polygon is not valid');
-        return;
-      }
+    const keyed = this.addNodeKind !== 'shape';
+    const nodes = keyed
+      ? [this.createKeyedNode()].filter(Boolean)
+      : this.polygonBuilder.createNodes();
+    if (nodes.length === 0) {
+      console.error(`Nothing valid to add in ${this.polygonBuilder.mode} mode`);
+      return;
+    }
+    // A keyword substitution leaves the drawing alone
+    const usesDrawing = !keyed || getNodeCanvasState(nodes[0]) !== null;
+
+    const before = this.captureEdit();
+    const editing = this.editingNodeIndex;
+    if (editing !== null) {
+      // The first shape takes the edited node's place; any extras are added after it
+      this.pipeline.nodes[editing] = nodes.shift();
+      this.editingNodeIndex = null;
+    }
 
+    let addedCount = 0;
+    for (const node of nodes) {
+      // Recalculate resources each time
       const resources = this.getResourceUsage();
       if (resources.nodesUsed >= resources.nodesMax) {
-        alert(`Node limit reached! (${resources.nodesMax} max per level)`);
-        return;
+        alert(addedCount > 0
+          ? `Added ${addedCount} node(s). Node limit reached!`
+          : `Node limit reached! (${resources.nodesMax} max per level)`);
+        break;
       }
 
-      const vertices = this.polygonBuilder.getVertices();
-      const node = new PolygonNode(vertices);
-      this.pipeline.addNode(node);
-      console.log(`Added polygon node: ${node.describe()}`);
-      
-      // For polygons, fully clear
+      if (editing !== null) {
+        this.pipeline.nodes.splice(editing + 1 + addedCount, 0, node);
+      } else {
+        this.pipeline.addNode(node);
+      }
+      console.log(`Added ${node.type} node: ${node.describe()}`);
+      addedCount++;
+    }
+
+    if (editing !== null) {
       this.polygonBuilder.clear();
+      this.polygonBuilder.validate();
+      this.recordEdit(`Update node ${editing + 1}`, before);
+      this.polygonBuilder.announce(`Updated node ${editing + 1}${addedCount > 0 ? ` and added ${addedCount} node(s)` : ''}.`);
+    } else {
+      // Keep the drawing if nothing fit, so the player can free up a node
+      if (addedCount > 0) {
+        if (usesDrawing) {
+          this.polygonBuilder.clear();
+          this.polygonBuilder.validate();
+        }
+        this.recordEdit(keyed ? `Add ${nodes[0].name} node` : `Add ${addedCount} ${this.polygonBuilder.mode} node(s)`, before);
+      }
+      this.polygonBuilder.announce(`Added ${addedCount} node(s) to the pipeline.`);
     }
 
     this.updatePolygonUI();
     this.updateCiphertext();
     this.updateUI();
+    this.saveProgress();
   }
 
   /**
@@ -838,8 +1712,26 @@ class CipherDashGame {
    */
   clearPolygon() {
     if (this.polygonBuilder) {
+      const before = this.captureEdit();
       this.polygonBuilder.clear();
+      // Clearing also abandons a node edit; the node stays as it was
+      this.editingNodeIndex = null;
+      if (JSON.stringify(before.canvas) !== JSON.stringify(this.polygonBuilder.getState())) {
+        this.recordEdit('Clear canvas', before);
+      }
       this.updatePolygonUI();
+      this.saveProgress();
+    }
+  }
+
+  /**
+   * Enable "Reset View" only while the canvas is zoomed or panned
+   * Runs on every wheel, pan and pinch step, so it touches nothing else
+   */
+  updateViewControls() {
+    const resetViewBtn = document.getElementById('btn-reset-view');
+    if (resetViewBtn && this.polygonBuilder) {
+      resetViewBtn.disabled = this.polygonBuilder.isViewReset();
     }
   }
 
@@ -849,7 +1741,37 @@ class CipherDashGame {
   updatePolygonUI() {
     if (!this.polygonBuilder) return;
 
-    this.polygonAnalyzer.display(this.polygonBuilder);
+    const guidesBtn = document.getElementById('btn-toggle-guides');
+    if (guidesBtn) {
+      guidesBtn.disabled = this.getTargetAngles().length === 0;
+      guidesBtn.setAttribute('aria-pressed', String(this.polygonBuilder.showGuides));
+      guidesBtn.classList.toggle('btn-mode-active', this.polygonBuilder.showGuides);
+    }
+
+    const selectBtn = document.getElementById('btn-select-tool');
+    if (selectBtn) {
+      const selecting = this.polygonBuilder.tool === 'select';
+      selectBtn.setAttribute('aria-pressed', String(selecting));
+      selectBtn.classList.toggle('btn-mode-active', selecting);
+    }
+    const hasSelection = this.polygonBuilder.getSelectionPoints() !== null;
+    ['btn-mirror-h', 'btn-mirror-v'].forEach(id => {
+      const btn = document.getElementById(id);
+      if (btn) btn.disabled = !hasSelection;
+    });
+
+    this.updateViewControls();
+
+    const undoBtn = document.getElementById('btn-undo');
+    const redoBtn = document.getElementById('btn-redo');
+    if (undoBtn) {
+      undoBtn.disabled = !this.history.canUndo();
+      undoBtn.title = this.history.canUndo() ? `Undo ${this.history.peekUndo()} (Ctrl+Z)` : 'Nothing to undo';
+    }
+    if (redoBtn) {
+      redoBtn.disabled = !this.history.canRedo();
+      redoBtn.title = this.history.canRedo() ? `Redo ${this.history.peekRedo()} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
 
     const addBtn = document.getElementById('btn-polygon-add');
     if (addBtn) {
@@ -863,22 +1785,30 @@ class CipherDashGame {
         } else {
           addBtn.textContent = 'Add to Pipeline';
         }
+      } else if (this.polygonBuilder.mode === 'angle') {
+        const angleCount = this.polygonBuilder.completedAngles.length;
+        addBtn.disabled = angleCount === 0;
+        addBtn.textContent = angleCount > 0 ? `Add ${angleCount} Angle(s)` : 'Add to Pipeline';
+      } else if (this.polygonBuilder.mode === 'circle') {
+        const circleCount = this.polygonBuilder.circles.length;
+        addBtn.disabled = circleCount === 0;
+        addBtn.textContent = circleCount > 0 ? `Add ${circleCount} Circle(s)` : 'Add to Pipeline';
       } else {
         // For polygon mode: button is enabled if polygon is valid
         addBtn.disabled = !this.polygonBuilder.isValid;
         addBtn.textContent = 'Add to Pipeline';
       }
-    }
-
-    // Show error message if invalid
-    const infoElem = document.getElementById('polygon-analysis');
-    if (!this.polygonBuilder.isValid && this.polygonBuilder.validationError) {
-      if (infoElem) {
-        infoElem.innerHTML = `
-          <div class="polygon-error">
-            ⚠ ${this.polygonBuilder.validationError}
-          </div>
-        `;
+      if (this.addNodeKind !== 'shape') {
+        const keyedNode = this.createKeyedNode();
+        addBtn.disabled = !keyedNode;
+        addBtn.textContent = keyedNode ? `Add ${keyedNode.describe()}` : 'Add to Pipeline';
+        const settingsError = this.addNodeKind === 'rotor' ? this.rotorSettingsError : '';
+        addBtn.title = keyedNode ? '' : settingsError || ADD_NODE_KIND_HINTS[this.addNodeKind];
+      } else {
+        addBtn.title = '';
+      }
+      if (this.editingNodeIndex !== null) {
+        addBtn.textContent = `Update Node ${this.editingNodeIndex + 1}`;
       }
     }
   }
@@ -922,10 +1852,16 @@ class CipherDashGame {
     if (!elem) return;
 
     const levelData = this.getCurrentLevel();
+    const snaps = SNAP_TYPES.filter(type => levelData.snapping[type]);
+    const snapNote = snaps.length === 0
+      ? '✋ Freehand only: snapping is off for this level'
+      : `🧲 Hold Shift to snap (${snaps.join(', ')})`;
+
     elem.innerHTML = `
       <div class="objective-content">
         <h4>${levelData.objective}</h4>
         <p class="objective-hint">${levelData.hint}</p>
+        <p class="objective-snapping">${snapNote}</p>
       </div>
     `;
   }
@@ -988,15 +1924,54 @@ class CipherDashGame {
     }
 
     const descriptions = this.pipeline.describe();
+    const broken = this.roundTrip ? this.roundTrip.nonInvertible : [];
     elem.innerHTML = descriptions
-      .map((desc, idx) => `
+      .map((desc, idx) => {
+        const failure = broken.find(entry => entry.index === idx);
+        let nodeClass = failure ? 'pipeline-node pipeline-node-broken' : 'pipeline-node';
+        if (idx === this.editingNodeIndex) nodeClass += ' pipeline-node-editing';
+        const node = this.pipeline.nodes[idx];
+        const editable = getNodeCanvasState(node) !== null;
+        const inspectable = node.type === 'substitution' || node.type === 'rotor';
+        const inspecting = inspectable && node === this.inspectedNode;
+        let inspector = '';
+        if (inspecting && node.type === 'rotor') {
+          this.rotorStep = Math.min(this.rotorStep, this.getNodeInput(idx).length);
+          inspector = renderRotorStepper(node, this.getNodeInput(idx), this.rotorStep, Boolean(this.rotorTimer));
+        } else if (inspecting) {
+          inspector = renderAlphabetInspector(node, this.getNodeInput(idx));
+        }
+        const title = failure ? ` title="Cannot be decrypted: ${failure.reason}"` : '';
+        return `
         <div class="pipeline-node-item">
-          <div class="pipeline-node">${desc}</div>
+          <div class="${nodeClass}"${title}>${desc}${failure ? ' ⚠ not invertible' : ''}</div>
+          ${inspectable ? `<button class="btn btn-inspect-node" data-index="${idx}" aria-expanded="${inspecting}" title="${node.type === 'rotor' ? 'Watch the rotors step' : 'Show the plain→cipher alphabet'}">🔍</button>` : ''}
+          ${editable ? `<button class="btn btn-edit-node" data-index="${idx}" title="Reshape this node on the canvas">✎</button>` : ''}
           <button class="btn btn-remove-node" data-index="${idx}" title="Remove this node">✕</button>
         </div>
-      `)
+        ${inspector}
+      `;
+      })
       .join('');
 
+    // Show whether the receiver can recover the plaintext
+    if (this.roundTrip) {
+      const tripClass = this.roundTrip.valid ? 'pass' : 'fail';
+      const tripText = this.roundTrip.valid
+        ? `✓ Decrypts back to ${this.roundTrip.decrypted}`
+        : '✗ Cipher cannot be decrypted by the receiver';
+      elem.innerHTML += `<div class="round-trip-status ${tripClass}">${tripText}</div>`;
+    }
+
+    elem.querySelectorAll('.btn-edit-node').forEach(btn => {
+      btn.addEventListener('click', () => this.editNode(parseInt(btn.dataset.index)));
+    });
+
+    elem.querySelectorAll('.btn-inspect-node').forEach(btn => {
+      btn.addEventListener('click', () => this.toggleInspector(parseInt(btn.dataset.index)));
+    });
+    this.bindRotorStepper();
+
     // Attach event listeners to remove buttons
     elem.querySelectorAll('.btn-remove-node').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -1041,14 +2016,94 @@ class CipherDashGame {
       html += `</div>`;
     }
 
+    // Accuracy rating
+    if (r.accuracy) {
+      const starsText = r.passed ? formatStars(r.stars) : formatStars(0);
+      html += `
+        <div class="accuracy-rating">
+          <span class="stars">${starsText}</span>
+          <span class="accuracy-detail">
+            Deviation ${formatDeviation(r.accuracy.deviation, r.accuracy.unit)}
+            (margin ${formatDeviation(r.accuracy.margin, r.accuracy.unit)})
+            ${r.newBestStars ? ' · New best!' : ''}
+          </span>
+        </div>
+      `;
+    }
+
+    // Score and breakdown
+    if (r.breakdown) {
+      const b = r.breakdown;
+      html += `
+        <div class="score-display">
+          <span class="score-value">${Math.round(b.final)}</span>
+          <span class="score-label">/ 100 security points</span>
+        </div>
+        <div class="score-breakdown">
+          <div><span>Base</span><span>${b.base}</span></div>
+          <div><span>Entropy</span><span>+${b.entropy.toFixed(1)}</span></div>
+          <div><span>Diffusion</span><span>+${b.diffusion.toFixed(1)}</span></div>
+          <div><span>Avalanche</span><span>+${b.avalanche.toFixed(1)}</span></div>
+          <div><span>Key Space</span><span>+${b.keySpace.toFixed(1)}</span></div>
+          <div><span>Penalties</span><span>${b.penalties}</span></div>
+        </div>
+        <div class="threshold-check">
+          ${r.scorePassed ? '✓' : '✗'} Minimum score ${r.threshold}: ${r.scorePassed ? 'reached' : 'not reached'}
+        </div>
+      `;
+    }
+
+    // Attack simulations
+    if (r.attackResults) {
+      html += `
+        <div class="attacks">
+          <strong>⚔ Attack Simulations</strong>
+          <ul>
+      `;
+      for (const attack of r.attackResults.attacks) {
+        html += `<li>${attack.name}: ${attack.description} (threat ${attack.penalty})</li>`;
+      }
+      html += `
+          </ul>
+          <p>${r.attackResults.summary}</p>
+          <p>Threat points are a warning only: they are not taken off the score.</p>
+        </div>
+      `;
+    }
+
+    // Pattern warnings
+    if (r.patterns && r.patterns.length > 0) {
+      html += `
+        <div class="warnings">
+          <strong>⚠ Pattern Warnings</strong>
+          <ul>
+            ${r.patterns.map(warning => `<li>${warning}</li>`).join('')}
+          </ul>
+        </div>
+      `;
+    } else if (r.patterns) {
+      html += `
+        <div class="warnings warnings-clear">
+          <strong>✓ Pattern Checks</strong>
+          <ul><li>No repeating letter pairs or alphabetic runs found</li></ul>
+        </div>
+      `;
+    }
+
     // Overall feedback
     const feedbackClass = r.passed ? 'pass' : 'fail';
-    const feedbackText = r.passed
-      ? 'Cipher secure. Signal transmission successful. Advancing to the next level...'
-      : '⚠ Objective not met. Keep adjusting your geometric shapes!';
+    let feedbackText;
+    if (r.passed) {
+      feedbackText = 'Cipher secure. Signal transmission successful. Advancing to the next level...';
+    } else if (r.objectiveCheck && !r.objectiveCheck.met) {
+      feedbackText = '⚠ Objective not met. Keep adjusting your geometric shapes!';
+    } else {
+      feedbackText = '⚠ Signal intercepted. Your cipher did not reach the minimum score.';
+    }
     html += `
       <div class="feedback ${feedbackClass}">
         ${feedbackText}
+        ${r.feedback ? `<br/><small>${r.feedback}</small>` : ''}
       </div>
     </div>`;
 
@@ -1072,10 +2127,9 @@ class CipherDashGame {
     }
 
     if (nextBtn) {
-      nextBtn.style.display =
-        this.gameState === 'complete' && this.currentLevel < this.levels.length
-          ? 'block'
-          : 'none';
+      const isLastLevel = this.currentLevel >= this.levels.length;
+      nextBtn.style.display = this.gameState === 'complete' ? 'block' : 'none';
+      nextBtn.textContent = isLastLevel ? '🏁 View Campaign Summary' : '✓ Proceed to Next Level';
     }
   }
 
@@ -1094,8 +2148,24 @@ document.addEventListener('DOMContentLoaded', () => {
   game = new CipherDashGame();
 
   // Initialize polygon builder with game reference for level constraints
-  game.polygonBuilder = new PolygonBuilder('polygon-canvas', { gameRef: game });
+  game.polygonBuilder = new PolygonBuilder('polygon-canvas', {
+    gameRef: game,
+    history: game.history,
+    announcerId: 'builder-announcer',
+    coordinateDialogId: 'coordinate-dialog'
+  });
   game.polygonAnalyzer = new PolygonAnalyzer('polygon-analysis');
+  game.polygonAnalyzer.attach(game.polygonBuilder);
+
+  // Refresh the canvas controls whenever the drawing, selection or history changes
+  ['validated', 'cleared', 'mode-changed', 'selection-changed', 'edit-committed'].forEach(type => {
+    game.polygonBuilder.on(type, () => game.updatePolygonUI());
+  });
+  game.polygonBuilder.on('view-changed', () => game.updateViewControls());
+  // Save once per finished edit, not on every pointer move
+  game.polygonBuilder.on('edit-committed', () => game.saveProgress());
+  game.levelEditor = new LevelEditor('level-editor', { gameRef: game });
+  game.start();
 
   // Initialize background music
   const bgmPlayer = document.getElementById('bgm-player');
@@ -1135,30 +2205,80 @@ document.addEventListener('DOMContentLoaded', () => {
     game.addPolygonNode();
   });
 
+  document.getElementById('polygon-add-as')?.addEventListener('change', (e) => {
+    game.setAddNodeKind(e.target.value);
+  });
+
+  document.getElementById('polygon-substitution-keyword')?.addEventListener('input', (e) => {
+    game.setSubstitutionKeyword(e.target.value);
+  });
+
+  const readRotorSettings = () => ({
+    rotors: ['rotor-left', 'rotor-middle', 'rotor-right'].map(id => document.getElementById(id).value),
+    rings: document.getElementById('rotor-rings').value,
+    reflector: document.getElementById('rotor-reflector').value,
+    plugboard: document.getElementById('rotor-plugboard').value
+  });
+  document.querySelectorAll('#rotor-settings select, #rotor-settings input').forEach(field => {
+    field.addEventListener('input', () => game.setRotorSettings(readRotorSettings()));
+  });
+
   // Mode selector events
-  document.getElementById('btn-mode-polygon')?.addEventListener('click', (e) => {
-    e.target.classList.add('btn-mode-active');
-    document.getElementById('btn-mode-line')?.classList.remove('btn-mode-active');
-    game.polygonBuilder.setMode('polygon');
-    document.getElementById('mode-instructions').textContent = 
-      'Click on the canvas to add vertices. Right-click to remove. Drag vertices to adjust. Assemble a valid polygon to add as a cipher node.';
+  document.querySelectorAll('.mode-selector .btn-mode').forEach(btn => {
+    btn.addEventListener('click', () => {
+      game.setDrawingMode(btn.dataset.mode);
+    });
   });
 
-  document.getElementById('btn-mode-line')?.addEventListener('click', (e) => {
-    e.target.classList.add('btn-mode-active');
-    document.getElementById('btn-mode-polygon')?.classList.remove('btn-mode-active');
-    game.polygonBuilder.setMode('line');
-    document.getElementById('mode-instructions').textContent = 
-      'Click on the canvas to add 2 points for a line. Right-click to remove points. Add a line to your cipher pipeline.';
+  document.getElementById('btn-toggle-guides')?.addEventListener('click', () => {
+    game.polygonBuilder.setShowGuides(!game.polygonBuilder.showGuides);
+    game.updatePolygonUI();
   });
 
-  // Update polygon analysis on any change
-  const updatePolygonUI = () => {
+  // Whole-shape selection and mirroring
+  document.getElementById('btn-select-tool')?.addEventListener('click', () => {
+    game.polygonBuilder.setTool(game.polygonBuilder.tool === 'select' ? 'draw' : 'select');
     game.updatePolygonUI();
-  };
+  });
+
+  document.getElementById('btn-mirror-h')?.addEventListener('click', () => {
+    game.polygonBuilder.mirrorSelection('horizontal');
+    game.updatePolygonUI();
+  });
+
+  document.getElementById('btn-mirror-v')?.addEventListener('click', () => {
+    game.polygonBuilder.mirrorSelection('vertical');
+    game.updatePolygonUI();
+  });
+
+  document.getElementById('btn-reset-view')?.addEventListener('click', () => {
+    game.polygonBuilder.resetView();
+  });
+
+  // Undo/redo
+  document.getElementById('btn-undo')?.addEventListener('click', () => {
+    game.undo();
+  });
+
+  document.getElementById('btn-redo')?.addEventListener('click', () => {
+    game.redo();
+  });
 
-  // Poll for polygon builder changes (since canvas doesn't have direct events)
-  setInterval(updatePolygonUI, 100);
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    // Leave text fields their own undo, and stay out of the overlay screens
+    if (e.target.closest('input, textarea, select')) return;
+    if (['editor-open', 'select-open', 'summary-open'].some(cls => document.body.classList.contains(cls))) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      game.undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      game.redo();
+    }
+  });
 
   document.getElementById('btn-remove')?.addEventListener('click', () => {
     game.removeLastNode();
@@ -1176,6 +2296,75 @@ document.addEventListener('DOMContentLoaded', () => {
     game.nextLevel();
   });
 
+  document.getElementById('btn-open-editor')?.addEventListener('click', () => {
+    game.closeLevelSelect();
+    game.closeCampaignSummary();
+    game.levelEditor.toggle();
+  });
+
+  document.getElementById('btn-open-levels')?.addEventListener('click', () => {
+    game.openLevelSelect();
+  });
+
+  document.getElementById('btn-continue')?.addEventListener('click', () => {
+    game.closeLevelSelect();
+  });
+
+  // Canvas edits are saved here rather than on every pointer move
+  window.addEventListener('pagehide', () => {
+    game.flushPlayTime();
+    game.saveProgress();
+  });
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      game.pausePlayTime();
+    } else {
+      game.resumePlayTime();
+    }
+  });
+
+  // Campaign summary screen
+  document.getElementById('btn-summary-restart')?.addEventListener('click', () => {
+    game.restartCampaign();
+  });
+
+  document.getElementById('btn-summary-ngplus')?.addEventListener('click', () => {
+    game.startNewGamePlus();
+  });
+
+  document.getElementById('btn-summary-close')?.addEventListener('click', () => {
+    game.closeCampaignSummary();
+  });
+
+  // Extra level packs from a local file
+  document.getElementById('level-pack-input')?.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    const statusElem = document.getElementById('level-pack-status');
+    if (!file) return;
+
+    file.text()
+      .then(text => {
+        const result = game.loadLevelPackFromText(text);
+        if (!statusElem) return;
+        if (result.valid) {
+          statusElem.innerHTML = `<div class="pack-status pass">✓ Loaded "${result.name}" (${result.levels.length} levels)</div>`;
+        } else {
+          statusElem.innerHTML = `
+            <div class="pack-status fail">
+              <strong>✗ Could not load ${file.name}</strong>
+              <ul>${result.errors.map(err => `<li>${err}</li>`).join('')}</ul>
+            </div>
+          `;
+        }
+      })
+      .catch(err => console.error('Level pack read error:', err))
+      .finally(() => {
+        // Allow the same file to be picked again after fixing it
+        e.target.value = '';
+      });
+  });
+
   // Render level info
   const levelInfo = game.getLevelInfo();
   const levelElem = document.getElementById('level-info');
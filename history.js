@@ -0,0 +1,106 @@
+/**
+ * history.js - Undo/Redo
+ * Command-based edit history shared by the canvas builder and the pipeline
+ */
+
+/**
+ * SnapshotCommand - Undoes and redoes an edit by swapping between the
+ * state captured before it and the state captured after it
+ */
+class SnapshotCommand {
+  /**
+   * @param {string} label - What the edit did (e.g. 'Move vertex')
+   * @param {Function} restore - Applies a captured state
+   * @param {*} before - State before the edit
+   * @param {*} after - State after the edit
+   */
+  constructor(label, restore, before, after) {
+    this.label = label;
+    this.restore = restore;
+    this.before = before;
+    this.after = after;
+  }
+
+  undo() {
+    this.restore(this.before);
+  }
+
+  redo() {
+    this.restore(this.after);
+  }
+}
+
+/**
+ * EditHistory - Undo and redo stacks of commands
+ * A command is any object with a label and undo()/redo() methods
+ */
+class EditHistory {
+  constructor(options = {}) {
+    this.limit = options.limit || 100; // Oldest entries are dropped past this
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Record a command that has already been applied
+   * @param {object} command - {label, undo(), redo()}
+   */
+  push(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    // A new edit branches off; the undone future is gone
+    this.redoStack = [];
+  }
+
+  /**
+   * Undo the latest command
+   * @returns {object|null} - The command undone, or null if there was none
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+
+    command.undo();
+    this.redoStack.push(command);
+    return command;
+  }
+
+  /**
+   * Redo the latest undone command
+   * @returns {object|null} - The command redone, or null if there was none
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+
+    command.redo();
+    this.undoStack.push(command);
+    return command;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Label of the command undo() would revert (for button tooltips)
+   */
+  peekUndo() {
+    return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+  }
+
+  peekRedo() {
+    return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
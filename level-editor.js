@@ -0,0 +1,350 @@
+/**
+ * level-editor.js - In-Browser Level Editor
+ * Authors new levels in the level pack format, proves each one with a
+ * drawn reference solution, and exports the result as a pack file
+ */
+
+/**
+ * Objective types offered in the editor, with the fixed side counts
+ * the polygon types imply (regular n-gons take theirs from the form)
+ */
+const EDITOR_OBJECTIVES = {
+  equilateral: { label: 'Equilateral triangle', sides: [3], mode: 'polygon' },
+  square: { label: 'Square', sides: [4], mode: 'polygon' },
+  '30-60-90': { label: '30-60-90 triangle', sides: [3], mode: 'polygon' },
+  '15-75-90': { label: '15-75-90 triangle', sides: [3], mode: 'polygon' },
+  regular: { label: 'Regular n-gon', sides: null, mode: 'polygon' },
+  'parallel-lines': { label: 'Parallel lines', sides: null, mode: 'line' },
+  'perpendicular-lines': { label: 'Perpendicular lines', sides: null, mode: 'line' },
+  angle: { label: 'Angle', sides: null, mode: 'angle' },
+  'circle-tangent': { label: 'Circle + tangent line', sides: null, mode: 'circle' }
+};
+
+/**
+ * A convex polygon with the level's side count that its objective must
+ * reject: an equilateral triangle for the right-triangle types, otherwise
+ * a regular polygon stretched to twice its width
+ * @param {object} level - Polygon level (targetSides set)
+ * @returns {Array} - Vertices {x, y}
+ */
+function buildWrongPolygon(level) {
+  const sides = level.targetSides[0];
+  const stretch = level.targetType === '30-60-90' || level.targetType === '15-75-90' ? 1 : 2;
+  return Array.from({ length: sides }, (_, i) => {
+    const angle = i * 2 * Math.PI / sides + 0.3;
+    return { x: 300 + 100 * stretch * Math.cos(angle), y: 200 + 100 * Math.sin(angle) };
+  });
+}
+
+class LevelEditor {
+  constructor(containerId, options = {}) {
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      console.error(`Level editor ${containerId} not found`);
+      return;
+    }
+
+    this.gameRef = options.gameRef || null; // Used for checkObjectiveMet
+    this.solution = new CipherPipeline(); // Reference solution for the draft level
+    this.savedLevels = []; // Levels ready for export
+    this.packId = `editor-${Date.now().toString(36)}`; // Replaying replaces the pack and keeps its progress
+
+    this.builder = new PolygonBuilder('editor-canvas', { gameRef: this });
+
+    this.populateObjectiveOptions();
+    this.setupEventListeners();
+    this.syncObjectiveFields();
+    this.render();
+  }
+
+  /**
+   * Shorthand for elements inside the editor
+   */
+  field(id) {
+    return document.getElementById(id);
+  }
+
+  populateObjectiveOptions() {
+    const select = this.field('editor-target-type');
+    select.innerHTML = Object.entries(EDITOR_OBJECTIVES)
+      .map(([type, info]) => `<option value="${type}">${info.label}</option>`)
+      .join('');
+  }
+
+  setupEventListeners() {
+    this.field('editor-target-type').addEventListener('change', () => {
+      this.syncObjectiveFields();
+      this.render();
+    });
+
+    this.container.querySelectorAll('.editor-modes .btn-mode').forEach(btn => {
+      btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+    });
+
+    this.field('btn-editor-add').addEventListener('click', () => this.addToSolution());
+    this.field('btn-editor-clear-drawing').addEventListener('click', () => this.builder.clear());
+    this.field('btn-editor-reset-view').addEventListener('click', () => this.builder.resetView());
+    this.field('btn-editor-clear-solution').addEventListener('click', () => {
+      this.solution.clear();
+      this.render();
+    });
+    this.field('btn-editor-check').addEventListener('click', () => this.showCheck());
+    this.field('btn-editor-save').addEventListener('click', () => this.saveLevel());
+    this.field('btn-editor-export').addEventListener('click', () => this.exportPack());
+    this.field('btn-editor-play').addEventListener('click', () => this.playPack());
+  }
+
+  /**
+   * Show only the inputs that apply to the chosen objective type
+   * and switch the canvas to the matching drawing mode
+   */
+  syncObjectiveFields() {
+    const type = this.field('editor-target-type').value;
+    const info = EDITOR_OBJECTIVES[type];
+
+    this.field('editor-sides-row').hidden = type !== 'regular';
+    this.field('editor-angle-row').hidden = type !== 'angle';
+    this.setMode(info.mode);
+  }
+
+  setMode(mode) {
+    this.builder.setMode(mode);
+    this.container.querySelectorAll('.editor-modes .btn-mode').forEach(btn => {
+      btn.classList.toggle('btn-mode-active', btn.dataset.mode === mode);
+    });
+  }
+
+  /**
+   * Read the form into a level definition (pack format, see levels.js)
+   */
+  getDraftLevel() {
+    const type = this.field('editor-target-type').value;
+    const info = EDITOR_OBJECTIVES[type];
+    const number = id => parseFloat(this.field(id).value);
+
+    const level = {
+      plaintext: this.field('editor-plaintext').value.trim().toUpperCase(),
+      description: this.field('editor-description').value.trim(),
+      objective: this.field('editor-objective').value.trim(),
+      hint: this.field('editor-hint').value.trim(),
+      targetType: type,
+      targetSides: null,
+      targetConvex: info.mode === 'polygon',
+      tolerance: number('editor-tolerance'),
+      maxVertices: parseInt(this.field('editor-max-vertices').value, 10),
+      maxNodes: parseInt(this.field('editor-max-nodes').value, 10),
+      threshold: number('editor-threshold')
+    };
+
+    // Only write snapping when it differs from the default (all on)
+    const snapping = this.field('editor-snapping').value;
+    if (snapping === 'grid') {
+      level.snapping = { angle: false, length: false };
+    } else if (snapping === 'off') {
+      level.snapping = false;
+    }
+
+    if (type === 'regular') {
+      level.targetSides = [parseInt(this.field('editor-sides').value, 10)];
+    } else if (info.sides) {
+      level.targetSides = [...info.sides];
+    }
+    if (type === 'angle') {
+      level.targetAngle = number('editor-target-angle');
+    }
+
+    return level;
+  }
+
+  /**
+   * Resource limits for the editor's PolygonBuilder (mirrors CipherDashGame)
+   */
+  getResourceUsage() {
+    const maxVertices = parseInt(this.field('editor-max-vertices').value, 10) || 12;
+    return { verticesMax: maxVertices };
+  }
+
+  addToSolution() {
+    const nodes = this.builder.createNodes();
+    if (nodes.length === 0) {
+      this.showStatus('fail', ['Nothing valid to add yet. ' + this.builder.validationError]);
+      return;
+    }
+
+    nodes.forEach(node => this.solution.addNode(node));
+    this.builder.clear();
+    this.builder.validate();
+    this.render();
+  }
+
+  /**
+   * Validate the draft and run its objective against the reference solution
+   * @returns {object} - {ok: boolean, level: object, errors: string[]}
+   */
+  checkDraft() {
+    const level = this.getDraftLevel();
+    const errors = validateLevel(level, this.savedLevels.length);
+
+    if (errors.length === 0) {
+      if (this.solution.isEmpty()) {
+        errors.push('Draw a reference solution and add it before saving');
+      } else {
+        // Same node budget rule as CipherDashGame.getResourceUsage
+        const nodeCount = this.solution.nodes.filter(n => LIMITED_NODE_TYPES.includes(n.type)).length;
+        if (nodeCount > level.maxNodes) {
+          errors.push(`Reference solution uses ${nodeCount} nodes but maxNodes is ${level.maxNodes}`);
+        }
+
+        const objectiveCheck = this.gameRef.checkObjectiveMet(level, this.solution);
+        if (!objectiveCheck.met) {
+          errors.push(...objectiveCheck.reasons.map(reason => `Reference solution: ${reason}`));
+        }
+
+        // A margin so loose that any shape with the right side count passes
+        // makes the objective pointless
+        if (POLYGON_TARGET_TYPES.includes(level.targetType)) {
+          const wrong = new CipherPipeline();
+          wrong.addNode(new PolygonNode(buildWrongPolygon(level)));
+          if (this.gameRef.checkObjectiveMet(level, wrong).met) {
+            errors.push(`Tolerance ${level.tolerance} is too loose: an irregular ${level.targetSides[0]}-sided polygon also passes`);
+          }
+        }
+      }
+    }
+
+    return { ok: errors.length === 0, level, errors };
+  }
+
+  showCheck() {
+    const check = this.checkDraft();
+    if (check.ok) {
+      this.showStatus('pass', ['✓ Reference solution passes the objective']);
+    } else {
+      this.showStatus('fail', check.errors);
+    }
+  }
+
+  saveLevel() {
+    const check = this.checkDraft();
+    if (!check.ok) {
+      this.showStatus('fail', check.errors);
+      return;
+    }
+
+    this.savedLevels.push(check.level);
+    this.solution.clear();
+    this.showStatus('pass', [`✓ Saved level ${this.savedLevels.length}: ${check.level.description}`]);
+    this.render();
+  }
+
+  removeSavedLevel(index) {
+    this.savedLevels.splice(index, 1);
+    this.render();
+  }
+
+  /**
+   * Build the pack object for the saved levels
+   */
+  getPack() {
+    return {
+      name: this.field('editor-pack-name').value.trim() || 'Custom Pack',
+      id: this.packId,
+      version: 1,
+      levels: this.savedLevels
+    };
+  }
+
+  exportPack() {
+    if (this.savedLevels.length === 0) {
+      this.showStatus('fail', ['Save at least one level before exporting']);
+      return;
+    }
+
+    const pack = this.getPack();
+    const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${pack.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Load the saved levels into the running game
+   */
+  playPack() {
+    if (this.savedLevels.length === 0) {
+      this.showStatus('fail', ['Save at least one level before playing']);
+      return;
+    }
+
+    const result = this.gameRef.loadLevelPackFromText(JSON.stringify(this.getPack()));
+    if (!result.valid) {
+      this.showStatus('fail', result.errors);
+      return;
+    }
+    this.close();
+  }
+
+  showStatus(kind, messages) {
+    this.field('editor-status').innerHTML = `
+      <div class="pack-status ${kind}">
+        <ul>${messages.map(msg => `<li>${msg}</li>`).join('')}</ul>
+      </div>
+    `;
+  }
+
+  render() {
+    const solutionElem = this.field('editor-solution');
+    if (this.solution.isEmpty()) {
+      solutionElem.innerHTML = '<div class="pipeline-empty">No reference shapes yet</div>';
+    } else {
+      solutionElem.innerHTML = this.solution.describe()
+        .map(desc => `<div class="pipeline-node">${desc}</div>`)
+        .join('');
+    }
+
+    const savedElem = this.field('editor-saved');
+    if (this.savedLevels.length === 0) {
+      savedElem.innerHTML = '<div class="pipeline-empty">No saved levels</div>';
+    } else {
+      savedElem.innerHTML = this.savedLevels
+        .map((level, idx) => `
+          <div class="pipeline-node-item">
+            <div class="pipeline-node">${idx + 1}. ${level.description} (${level.plaintext})</div>
+            <button class="btn btn-remove-node" data-index="${idx}" title="Remove this level">✕</button>
+          </div>
+        `)
+        .join('');
+
+      savedElem.querySelectorAll('.btn-remove-node').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          this.removeSavedLevel(parseInt(e.target.dataset.index));
+        });
+      });
+    }
+  }
+
+  open() {
+    document.body.classList.add('editor-open');
+    this.container.hidden = false;
+    this.builder.draw();
+  }
+
+  close() {
+    document.body.classList.remove('editor-open');
+    this.container.hidden = true;
+  }
+
+  toggle() {
+    if (this.container.hidden) {
+      this.open();
+    } else {
+      this.close();
+    }
+  }
+}
@@ -0,0 +1,432 @@
+/**
+ * levels.js - Level Definitions and Level Pack Loader
+ * Levels are plain JSON-compatible objects grouped into packs, so new
+ * curricula can be authored without touching game.js
+ */
+
+/**
+ * LEVEL PACK FORMAT
+ *
+ * A pack is an object (or a .json file) shaped like:
+ *
+ *   {
+ *     "name": "Workshop 1",
+ *     "id": "workshop-1",                   // Optional, see below
+ *     "version": 1,
+ *     "levels": [
+ *       {
+ *         "plaintext": "SIGNAL",            // A-Z signal to encrypt
+ *         "description": "Equilateral",     // Short title
+ *         "objective": "Build an ...",      // Shown in the objective panel
+ *         "hint": "Margin of error: 15%",   // Optional
+ *         "targetType": "equilateral",      // See LEVEL_TARGET_TYPES
+ *         "targetSides": [3],               // Required for polygon types
+ *         "targetConvex": true,             // Optional, default false
+ *         "targetAngle": 65,                // Required for "angle"
+ *         "tolerance": 0.15,                // Margin of error (0-1; radians for 30-60-90/15-75-90)
+ *         "maxVertices": 5,                 // Vertex budget
+ *         "maxNodes": 1,                    // Node budget
+ *         "threshold": 40,                  // Minimum score (0-100)
+ *         "snapping": { "angle": false },   // Optional, see SNAP_TYPES; false = freehand only
+ *         "minRecognition": 0.8             // Optional, see RECOGNIZABLE_TARGET_TYPES
+ *       }
+ *     ]
+ *   }
+ *
+ * Level numbers are assigned from each level's position once the pack is
+ * loaded, so packs never need to number their own levels.
+ *
+ * Saved progress is keyed by the pack id. Without one, the pack's name plus
+ * a hash of its levels is used, so two packs that share a name never share
+ * progress. Loading a pack whose id is already loaded replaces that pack's
+ * levels instead of adding them a second time.
+ */
+
+/**
+ * Objective types understood by CipherDashGame.checkObjectiveMet
+ */
+const LEVEL_TARGET_TYPES = [
+  'equilateral',
+  'square',
+  '30-60-90',
+  '15-75-90',
+  'regular',
+  'parallel-lines',
+  'perpendicular-lines',
+  'angle',
+  'circle-tangent'
+];
+
+/**
+ * Objective types that are solved with a polygon and need targetSides
+ */
+const POLYGON_TARGET_TYPES = ['equilateral', 'square', '30-60-90', '15-75-90', 'regular'];
+
+/**
+ * Objective types that can also require the freehand recognizer to read the
+ * shape as regular, with at least "minRecognition" (0-1) confidence
+ */
+const RECOGNIZABLE_TARGET_TYPES = ['equilateral', 'square', 'regular'];
+
+/**
+ * Snaps the player can hold Shift for while drawing. A level's "snapping" is
+ * true/omitted (all on), false (freehand only) or an object turning single
+ * snaps off, e.g. { "angle": false }
+ */
+const SNAP_TYPES = ['grid', 'angle', 'length'];
+
+/**
+ * Built-in campaign: difficulty levels with geometric objectives and resource limits
+ */
+const DEFAULT_LEVEL_PACK = {
+  name: 'Campaign',
+  id: 'Campaign', // Fixed, so tuning a level keeps everyone's progress
+  version: 1,
+  levels: [
+    {
+      plaintext: 'SIGNAL',
+      description: 'Beginner: Equilateral Triangle',
+      threshold: 40,
+      maxVertices: 5,
+      maxNodes: 1,
+      objective: 'Build an equilateral triangle (all sides equal)',
+      hint: 'Make all 3 sides roughly equal length. Margin of error: ±15%',
+      targetSides: [3],
+      targetConvex: true,
+      targetType: 'equilateral',
+      tolerance: 0.15
+    },
+    {
+      plaintext: 'WAVE',
+      description: 'Basic: Square',
+      threshold: 42,
+      maxVertices: 6,
+      maxNodes: 1,
+      objective: 'Build a square (4 equal sides, 90° angles)',
+      hint: 'All 4 sides equal, all angles 90°. Margin of error: ±10%',
+      targetSides: [4],
+      targetConvex: true,
+      targetType: 'square',
+      tolerance: 0.10
+    },
+    {
+      plaintext: 'CRYPTO',
+      description: 'Standard: 30-60-90 Triangle',
+      threshold: 43,
+      maxVertices: 7,
+      maxNodes: 1,
+      objective: 'Build a 30-60-90 triangle (angles: 30°, 60°, 90°)',
+      hint: 'Right triangle with one 30° and one 60° angle. Margin of error: ±5°',
+      targetSides: [3],
+      targetConvex: true,
+      targetType: '30-60-90',
+      tolerance: 0.087
+    },
+    {
+      plaintext: 'MESSAGE',
+      description: 'Challenge: Regular Hexagon',
+      threshold: 44,
+      maxVertices: 8,
+      maxNodes: 1,
+      objective: 'Build a regular hexagon (6 equal sides, 120° angles)',
+      hint: 'All 6 sides equal, all angles 120°. Margin of error: ±12%',
+      targetSides: [6],
+      targetConvex: true,
+      targetType: 'regular',
+      tolerance: 0.12
+    },
+    {
+      plaintext: 'ENCODED',
+      description: 'Advanced: Parallel Lines',
+      threshold: 45,
+      maxVertices: 9,
+      maxNodes: 1,
+      objective: 'Build a pair of parallel lines (never meet, same angle)',
+      hint: ' Two lines that stay same distance apart. Margin of error: 8',
+      targetSides: null,
+      targetConvex: false,
+      targetType: 'parallel-lines',
+      tolerance: 0.14
+    },
+    {
+      plaintext: 'CIPHER',
+      description: 'Expert: Perpendicular Lines',
+      threshold: 46,
+      maxVertices: 10,
+      maxNodes: 1,
+      objective: 'Build a pair of perpendicular lines (intersect at 90)',
+      hint: ' Two lines meeting at right angle. Margin of error: 5',
+      targetSides: null,
+      targetConvex: false,
+      targetType: 'perpendicular-lines',
+      tolerance: 0.087
+    },
+    {
+      plaintext: 'TRANSMIT',
+      description: 'Master: 15-75-90 Triangle',
+      threshold: 47,
+      maxVertices: 11,
+      maxNodes: 2,
+      objective: 'Build a 15-75-90 triangle (angles: 15, 75, 90)',
+      hint: ' Right triangle with one 15 and one 75 angle. Margin of error: 5',
+      targetSides: [3],
+      targetConvex: true,
+      targetType: '15-75-90',
+      tolerance: 0.087
+    },
+    {
+      plaintext: 'SECURITY',
+      description: 'Legend: Regular Pentagon',
+      threshold: 48,
+      maxVertices: 12,
+      maxNodes: 2,
+      objective: 'Build a regular pentagon (5 equal sides, 108 angles)',
+      hint: ' All 5 sides equal, all angles ~108. Margin of error: 10%',
+      targetSides: [5],
+      targetConvex: true,
+      targetType: 'regular',
+      tolerance: 0.10
+    },
+    {
+      plaintext: 'CLASSIFIED',
+      description: 'Classified: 65 Angle',
+      threshold: 49,
+      maxVertices: 11,
+      maxNodes: 2,
+      objective: 'Build an angle measuring 65 degrees',
+      hint: ' Use Angle mode to create two rays from a point. Margin of error: 4',
+      targetSides: null,
+      targetConvex: false,
+      targetType: 'angle',
+      targetAngle: 65,
+      tolerance: 0.062
+    },
+    {
+      plaintext: 'ENCRYPTED',
+      description: 'Ultimate: 15 Angle',
+      threshold: 50,
+      maxVertices: 10,
+      maxNodes: 2,
+      objective: 'Build an angle measuring 15 degrees',
+      hint: ' Use Angle mode to create two rays from a point. Margin of error: 2',
+      targetSides: null,
+      targetConvex: false,
+      targetType: 'angle',
+      targetAngle: 15,
+      tolerance: 0.035
+    },
+    {
+      plaintext: 'ORBITAL',
+      description: 'Bonus: Tangent Line',
+      threshold: 50,
+      maxVertices: 10,
+      maxNodes: 2,
+      objective: 'Build a circle and a line tangent to it',
+      hint: ' Drag out a circle, then switch to Line mode and graze its edge. Margin of error: 10%',
+      targetSides: null,
+      targetConvex: false,
+      targetType: 'circle-tangent',
+      tolerance: 0.10
+    }
+  ]
+};
+
+/**
+ * Check a single level definition
+ * @param {object} level - Raw level entry from a pack
+ * @param {number} index - Position of the level in its pack (0-based)
+ * @returns {string[]} - Readable error messages (empty if valid)
+ */
+function validateLevel(level, index) {
+  const label = level && typeof level.description === 'string'
+    ? `Level ${index + 1} ("${level.description}")`
+    : `Level ${index + 1}`;
+  const errors = [];
+
+  if (!level || typeof level !== 'object' || Array.isArray(level)) {
+    return [`${label}: must be an object`];
+  }
+
+  const isPositiveInt = value => Number.isInteger(value) && value > 0;
+
+  if (typeof level.plaintext !== 'string' || !/^[A-Z]+$/.test(level.plaintext)) {
+    errors.push(`${label}: plaintext must be uppercase letters A-Z`);
+  }
+  if (typeof level.description !== 'string' || level.description.trim() === '') {
+    errors.push(`${label}: missing description`);
+  }
+  if (typeof level.objective !== 'string' || level.objective.trim() === '') {
+    errors.push(`${label}: missing objective text`);
+  }
+  if (level.hint !== undefined && typeof level.hint !== 'string') {
+    errors.push(`${label}: hint must be a string`);
+  }
+
+  if (!LEVEL_TARGET_TYPES.includes(level.targetType)) {
+    errors.push(
+      `${label}: unknown targetType "${level.targetType}" (expected one of ${LEVEL_TARGET_TYPES.join(', ')})`
+    );
+  }
+
+  if (POLYGON_TARGET_TYPES.includes(level.targetType)) {
+    const sides = level.targetSides;
+    if (!Array.isArray(sides) || sides.length === 0 || !sides.every(n => Number.isInteger(n) && n >= 3 && n <= 12)) {
+      errors.push(`${label}: targetType "${level.targetType}" needs targetSides, e.g. [3] (3-12 sides)`);
+    }
+  } else if (level.targetSides !== undefined && level.targetSides !== null) {
+    errors.push(`${label}: targetSides only applies to polygon objectives`);
+  }
+
+  if (level.targetType === 'angle') {
+    if (typeof level.targetAngle !== 'number' || level.targetAngle <= 0 || level.targetAngle >= 180) {
+      errors.push(`${label}: targetType "angle" needs targetAngle between 0 and 180 degrees`);
+    }
+  }
+
+  if (level.targetConvex !== undefined && typeof level.targetConvex !== 'boolean') {
+    errors.push(`${label}: targetConvex must be true or false`);
+  }
+  if (typeof level.tolerance !== 'number' || level.tolerance <= 0 || level.tolerance >= 1) {
+    errors.push(`${label}: tolerance must be a number between 0 and 1`);
+  }
+  if (!isPositiveInt(level.maxVertices)) {
+    errors.push(`${label}: maxVertices must be a positive whole number`);
+  }
+  if (!isPositiveInt(level.maxNodes)) {
+    errors.push(`${label}: maxNodes must be a positive whole number`);
+  }
+  if (typeof level.threshold !== 'number' || level.threshold < 0 || level.threshold > 100) {
+    errors.push(`${label}: threshold must be a score between 0 and 100`);
+  }
+
+  if (level.minRecognition !== undefined) {
+    if (!RECOGNIZABLE_TARGET_TYPES.includes(level.targetType)) {
+      errors.push(`${label}: minRecognition only applies to ${RECOGNIZABLE_TARGET_TYPES.join(', ')} objectives`);
+    } else if (typeof level.minRecognition !== 'number' || level.minRecognition <= 0 || level.minRecognition > 1) {
+      errors.push(`${label}: minRecognition must be a number between 0 and 1`);
+    }
+  }
+
+  const snapping = level.snapping;
+  if (snapping !== undefined && typeof snapping !== 'boolean') {
+    const validObject = snapping !== null && typeof snapping === 'object' && !Array.isArray(snapping) &&
+      Object.entries(snapping).every(([type, on]) => SNAP_TYPES.includes(type) && typeof on === 'boolean');
+    if (!validObject) {
+      errors.push(`${label}: snapping must be true, false or an object of ${SNAP_TYPES.join('/')} flags`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Expand a level's snapping setting into one flag per snap type
+ * @param {boolean|object|undefined} snapping - As written in the pack
+ * @returns {object} - {grid, angle, length}
+ */
+function normalizeSnapping(snapping) {
+  return Object.fromEntries(SNAP_TYPES.map(type => {
+    if (typeof snapping === 'boolean') return [type, snapping];
+    return [type, !snapping || snapping[type] !== false];
+  }));
+}
+
+/**
+ * Short FNV-1a hash of a string, e.g. "1x2k9fq"
+ * @param {string} text - Text to hash
+ * @returns {string} - Base-36 hash
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Validate a level pack and normalize its levels
+ * @param {object} pack - {name, id, version, levels: [...]}
+ * @returns {object} - {valid: boolean, errors: string[], name: string, id: string, levels: object[]}
+ */
+function validateLevelPack(pack) {
+  if (!pack || typeof pack !== 'object' || !Array.isArray(pack.levels)) {
+    return { valid: false, errors: ['Level pack must have a "levels" array'], name: '', id: '', levels: [] };
+  }
+
+  const name = typeof pack.name === 'string' && pack.name.trim() !== '' ? pack.name : 'Untitled Pack';
+  if (pack.levels.length === 0) {
+    return { valid: false, errors: [`${name}: pack has no levels`], name, id: '', levels: [] };
+  }
+  if (pack.id !== undefined && (typeof pack.id !== 'string' || pack.id.trim() === '')) {
+    return { valid: false, errors: [`${name}: id must be a non-empty string`], name, id: '', levels: [] };
+  }
+
+  const errors = [];
+  pack.levels.forEach((level, index) => {
+    errors.push(...validateLevel(level, index));
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors, name, id: '', levels: [] };
+  }
+
+  // Key for saved progress (see LEVEL PACK FORMAT)
+  const id = pack.id || `${name}#${hashText(JSON.stringify(pack.levels))}`;
+
+  // Fill optional fields so game code can rely on them
+  const levels = pack.levels.map((level, index) => ({
+    ...level,
+    id: `${id}/${index + 1}`, // Stable key for saved progress
+    level: index + 1,
+    hint: level.hint || '',
+    targetSides: level.targetSides || null,
+    targetConvex: level.targetConvex === true,
+    snapping: normalizeSnapping(level.snapping),
+    pack: id
+  }));
+
+  return { valid: true, errors: [], name, id, levels };
+}
+
+/**
+ * Parse and validate a level pack from JSON text (e.g. a local file)
+ * @param {string} text - JSON source
+ * @returns {object} - Same shape as validateLevelPack()
+ */
+function parseLevelPack(text) {
+  let pack;
+  try {
+    pack = JSON.parse(text);
+  } catch (err) {
+    return { valid: false, errors: [`Not valid JSON: ${err.message}`], name: '', id: '', levels: [] };
+  }
+  return validateLevelPack(pack);
+}
+
+/**
+ * NEW GAME+ - Each cycle tightens the margins and vertex budgets
+ */
+const NEW_GAME_PLUS_TOLERANCE_FACTOR = 0.75; // Tolerance multiplier per cycle
+
+/**
+ * Derive the New Game+ version of a level
+ * @param {object} level - Validated level
+ * @param {number} cycle - New Game+ cycle (1 = first replay)
+ * @returns {object} - Tightened copy with its own id, so progress is kept apart
+ */
+function createNewGamePlusLevel(level, cycle) {
+  // Never drop below the vertices the objective itself needs
+  const minVertices = level.targetSides ? Math.max(...level.targetSides) : 3;
+  const tolerance = level.tolerance * Math.pow(NEW_GAME_PLUS_TOLERANCE_FACTOR, cycle);
+
+  return {
+    ...level,
+    id: `${level.id}+${cycle}`,
+    description: `NG+${cycle} · ${level.description}`,
+    hint: `${level.hint} (NG+${cycle}: margin ×${Math.pow(NEW_GAME_PLUS_TOLERANCE_FACTOR, cycle).toFixed(2)})`.trim(),
+    tolerance,
+    maxVertices: Math.max(minVertices, level.maxVertices - cycle)
+  };
+}
@@ -24,6 +24,16 @@ class CipherNode {
     throw new Error('apply() method must be implemented by subclass');
   }
 
+  /**
+   * Undo this node's transformation
+   * @param {string} input - The transformed signal
+   * @param {number} key - Transformation parameter
+   * @returns {string} - Original signal
+   */
+  invert(input, key = this.key) {
+    throw new Error(`${this.name} node cannot be inverted`);
+  }
+
   /**
    * Set the key for this node
    * @param {number} key - The key value
@@ -64,6 +74,10 @@ class ShiftNode extends CipherNode {
       .join('');
   }
 
+  invert(input, key = this.key) {
+    return shiftLetters(input.toUpperCase(), -key);
+  }
+
   describe() {
     return `${this.name} by ${this.key}`;
   }
@@ -83,6 +97,11 @@ class ReverseNode extends CipherNode {
     return input.split('').reverse().join('');
   }
 
+  invert(input, key = 0) {
+    // Reversal is its own inverse
+    return this.apply(input);
+  }
+
   describe() {
     return this.name;
   }
@@ -131,6 +150,14 @@ class MultiplyNode extends CipherNode {
       .join('');
   }
 
+  invert(input, key = this.key) {
+    const inverse = modInverse(key, 26);
+    if (inverse === null) {
+      throw new Error(`Multiply key ${key} has no inverse mod 26`);
+    }
+    return this.apply(input, inverse);
+  }
+
   describe() {
     return `${this.name} by ${this.key}`;
   }
@@ -174,6 +201,71 @@ class CipherPipeline {
     return result;
   }
 
+  /**
+   * Undo all nodes in reverse order
+   * @param {string} input - The ciphertext signal
+   * @returns {string} - The recovered plaintext
+   */
+  decrypt(input) {
+    let result = input;
+    for (let i = this.nodes.length - 1; i >= 0; i--) {
+      result = this.nodes[i].invert(result);
+    }
+    return result;
+  }
+
+  /**
+   * Encrypt then decrypt a signal and check each node undoes itself
+   * Nodes that throw or fail to restore their input are reported by index
+   * @param {string} plaintext - The signal to round-trip
+   * @returns {object} - {valid, ciphertext, decrypted, nonInvertible: [{index, name, reason}]}
+   */
+  verifyRoundTrip(plaintext) {
+    const nonInvertible = [];
+    let signal = plaintext.toUpperCase();
+
+    this.nodes.forEach((node, index) => {
+      const output = node.apply(signal);
+      try {
+        if (node.invert(output) !== signal) {
+          nonInvertible.push({ index, name: node.name, reason: 'Inverse does not restore input' });
+        }
+      } catch (err) {
+        nonInvertible.push({ index, name: node.name, reason: err.message });
+      }
+      signal = output;
+    });
+
+    const ciphertext = this.encrypt(plaintext);
+    let decrypted = null;
+    if (nonInvertible.length === 0) {
+      decrypted = this.decrypt(ciphertext);
+    }
+
+    return {
+      valid: decrypted === plaintext.toUpperCase(),
+      ciphertext,
+      decrypted,
+      nonInvertible
+    };
+  }
+
+  /**
+   * Convert all nodes into plain data for saving
+   * @returns {object[]} - One entry per node (see serializeNode)
+   */
+  serialize() {
+    return this.nodes.map(node => serializeNode(node)).filter(Boolean);
+  }
+
+  /**
+   * Replace all nodes with ones rebuilt from saved data
+   * @param {object[]} data - Output of serialize()
+   */
+  restore(data) {
+    this.nodes = data.map(entry => deserializeNode(entry));
+  }
+
   /**
    * Get descriptions of all nodes
    * @returns {string[]} - Array of node descriptions
@@ -206,6 +298,107 @@ class CipherPipeline {
   }
 }
 
+/**
+ * MODULAR ARITHMETIC UTILITIES - Shared by the letter transforms
+ */
+
+/**
+ * Non-negative remainder (JavaScript's % keeps the sign of the dividend)
+ * @param {number} n - Value to reduce
+ * @param {number} m - Modulus
+ * @returns {number} - n mod m in [0, m)
+ */
+function mod(n, m) {
+  return ((n % m) + m) % m;
+}
+
+/**
+ * Find the multiplicative inverse of a modulo m
+ * @param {number} a - Value to invert
+ * @param {number} m - Modulus
+ * @returns {number|null} - Inverse in [0, m), or null if a and m are not coprime
+ */
+function modInverse(a, m) {
+  const value = mod(a, m);
+  for (let x = 1; x < m; x++) {
+    if ((value * x) % m === 1) return x;
+  }
+  return null;
+}
+
+/**
+ * Shift every A-Z letter by an amount, wrapping around the alphabet
+ * @param {string} input - Uppercase signal
+ * @param {number} amount - Shift amount (may be negative)
+ * @returns {string} - Shifted signal, non-letters untouched
+ */
+function shiftLetters(input, amount) {
+  return input
+    .split('')
+    .map(char => {
+      if (!/[A-Z]/.test(char)) return char;
+      const code = char.charCodeAt(0) - 65;
+      return String.fromCharCode(mod(code + amount, 26) + 65);
+    })
+    .join('');
+}
+
+/**
+ * Multiply every A-Z letter by a key mod 26
+ * @param {string} input - Uppercase signal
+ * @param {number} key - Multiplier
+ * @returns {string} - Transformed signal, non-letters untouched
+ */
+function multiplyLetters(input, key) {
+  return input
+    .split('')
+    .map(char => {
+      if (!/[A-Z]/.test(char)) return char;
+      const code = char.charCodeAt(0) - 65;
+      return String.fromCharCode(mod(key * code, 26) + 65);
+    })
+    .join('');
+}
+
+/**
+ * Determinant of a square matrix (cofactor expansion; keys are at most 3x3)
+ * @param {number[][]} matrix - Rows
+ * @returns {number} - Determinant (not reduced)
+ */
+function matrixDeterminant(matrix) {
+  if (matrix.length === 1) return matrix[0][0];
+  return matrix[0].reduce((sum, value, col) =>
+    sum + (col % 2 === 0 ? 1 : -1) * value * matrixDeterminant(matrixMinor(matrix, 0, col)), 0);
+}
+
+/**
+ * Matrix with one row and one column removed
+ */
+function matrixMinor(matrix, row, col) {
+  return matrix
+    .filter((r, i) => i !== row)
+    .map(r => r.filter((v, j) => j !== col));
+}
+
+/**
+ * Inverse of a square matrix mod m (adjugate times the determinant's inverse)
+ * @param {number[][]} matrix - Rows
+ * @param {number} m - Modulus
+ * @returns {number[][]|null} - Inverse rows in [0, m), or null if the
+ *   determinant shares a factor with m
+ */
+function matrixInverseMod(matrix, m) {
+  const detInverse = modInverse(matrixDeterminant(matrix), m);
+  if (detInverse === null) return null;
+  if (matrix.length === 1) return [[detInverse]];
+
+  // Adjugate: transposed cofactors
+  return matrix.map((r, i) => matrix.map((c, j) => {
+    const cofactor = ((i + j) % 2 === 0 ? 1 : -1) * matrixDeterminant(matrixMinor(matrix, j, i));
+    return mod(cofactor * detInverse, m);
+  }));
+}
+
 /**
  * GEOMETRY UTILITIES - For polygon-based cipher construction
  */
@@ -267,6 +460,82 @@ function isConvex(vertices) {
   return true;
 }
 
+/**
+ * Calculate the angle at a center point between two other points
+ * @param {Object} center - {x, y} vertex of the angle
+ * @param {Object} p1 - {x, y} end of the first ray
+ * @param {Object} p2 - {x, y} end of the second ray
+ * @returns {number} - Angle in degrees (0-180)
+ */
+function angleAt(center, p1, p2) {
+  const vec1 = { x: p1.x - center.x, y: p1.y - center.y };
+  const vec2 = { x: p2.x - center.x, y: p2.y - center.y };
+  const dot = vec1.x * vec2.x + vec1.y * vec2.y;
+  const det = vec1.x * vec2.y - vec1.y * vec2.x;
+  return Math.abs(Math.atan2(det, dot) * 180 / Math.PI);
+}
+
+/**
+ * Rotate points about a pivot
+ * @param {Array} points - {x, y} points
+ * @param {Object} pivot - {x, y} center of rotation
+ * @param {number} angle - Radians (clockwise on screen, since y points down)
+ * @returns {Array} - New rotated {x, y} points
+ */
+function rotatePoints(points, pivot, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return points.map(p => ({
+    x: pivot.x + (p.x - pivot.x) * cos - (p.y - pivot.y) * sin,
+    y: pivot.y + (p.x - pivot.x) * sin + (p.y - pivot.y) * cos
+  }));
+}
+
+/**
+ * Check whether a point lies inside a polygon (ray casting)
+ * @param {Object} point - {x, y}
+ * @param {Array} vertices - Array of {x, y} points in order
+ * @returns {boolean} - True if inside
+ */
+function pointInPolygon(point, vertices) {
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i];
+    const b = vertices[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Calculate the interior angle at every vertex of a polygon
+ * Reflex (concave) corners come out above 180
+ * @param {Array} vertices - Array of {x, y} points in order
+ * @returns {Array} - Interior angles in degrees, one per vertex
+ */
+function getInteriorAngles(vertices) {
+  if (vertices.length < 3) return [];
+
+  // Signed area tells us which way the polygon winds
+  let signedArea = 0;
+  for (let i = 0; i < vertices.length; i++) {
+    const j = (i + 1) % vertices.length;
+    signedArea += vertices[i].x * vertices[j].y - vertices[j].x * vertices[i].y;
+  }
+
+  return vertices.map((v, i) => {
+    const prev = vertices[(i - 1 + vertices.length) % vertices.length];
+    const next = vertices[(i + 1) % vertices.length];
+    const cross = (v.x - prev.x) * (next.y - v.y) - (v.y - prev.y) * (next.x - v.x);
+    const angle = angleAt(v, prev, next);
+    // A turn against the winding direction is a reflex corner
+    return cross * signedArea < 0 ? 360 - angle : angle;
+  });
+}
+
 /**
  * Calculate side lengths of a polygon
  * @param {Array} vertices - Array of {x, y} points
@@ -301,9 +570,10 @@ function calculateSideVariance(vertices) {
  * Validate a polygon
  * Requirements: 3+ vertices, non-self-intersecting (simplified check)
  * @param {Array} vertices - Array of {x, y} points
+ * @param {Object} options - {hill: true} also requires an invertible Hill key (see validateHillKey)
  * @returns {Object} - {valid: boolean, error: string, sides: number}
  */
-function validatePolygon(vertices) {
+function validatePolygon(vertices, options = {}) {
   if (!vertices || vertices.length < 3) {
     return { valid: false, error: 'Need at least 3 vertices', sides: 0 };
   }
@@ -328,9 +598,163 @@ function validatePolygon(vertices) {
     return { valid: false, error: 'Polygon too small', sides: 0 };
   }
 
+  if (options.hill) {
+    const hill = validateHillKey(vertices);
+    if (!hill.valid) {
+      return { valid: false, error: hill.error, sides: 0 };
+    }
+  }
+
   return { valid: true, error: '', sides: vertices.length };
 }
 
+/**
+ * Hill key matrix read from points' rounded coordinates, mod 26
+ * The coordinates x0, y0, x1, y1, ... are split into n*n runs in order and
+ * each run's sum is one entry, so every coordinate is used exactly once:
+ * with 4 points each entry is one point's x + y; with 6 points each row is
+ * [x, y] of one point then x + y of the next
+ * @param {Array} points - {x, y} points: 4 for a 2x2 key, 6 for 3x3
+ * @returns {number[][]|null} - Matrix rows, or null for other point counts
+ */
+function getHillMatrix(points) {
+  const size = { 4: 2, 6: 3 }[points.length];
+  if (!size) return null;
+
+  const coords = points.flatMap(p => [Math.round(p.x), Math.round(p.y)]);
+  const entries = size * size;
+  const entry = k => {
+    let sum = 0;
+    const end = Math.floor((k + 1) * coords.length / entries);
+    for (let i = Math.floor(k * coords.length / entries); i < end; i++) sum += coords[i];
+    return mod(sum, 26);
+  };
+
+  return Array.from({ length: size }, (r, row) =>
+    Array.from({ length: size }, (c, col) => entry(row * size + col)));
+}
+
+/**
+ * Last validateHillKey() result, keyed by rounded coordinates and point
+ * names: the builder asks again on every frame and for the Add button
+ */
+let hillKeyCache = { key: null, result: null };
+
+/**
+ * Check that points make a usable Hill key. A matrix is only invertible
+ * mod 26 when its determinant is odd and not a multiple of 13; if it is
+ * not, suggest the smallest nudge of one point, or else of two points,
+ * that fixes it
+ * @param {Array} points - {x, y} points: 4 or 6
+ * @param {Function} pointName - Index -> name used in the suggestion
+ * @returns {object} - {valid, error, matrix}
+ */
+function validateHillKey(points, pointName = i => `vertex ${i + 1}`) {
+  const names = points.map((p, i) => pointName(i));
+  const cacheKey = JSON.stringify([points.map(p => [Math.round(p.x), Math.round(p.y)]), names]);
+  if (hillKeyCache.key !== cacheKey) {
+    hillKeyCache = { key: cacheKey, result: checkHillKey(points, names) };
+  }
+  return hillKeyCache.result;
+}
+
+/**
+ * validateHillKey() without the cache
+ * @param {Array} points - {x, y} points
+ * @param {string[]} names - Name of each point
+ * @returns {object} - {valid, error, matrix}
+ */
+function checkHillKey(points, names) {
+  const matrix = getHillMatrix(points);
+  if (!matrix) {
+    return { valid: false, error: 'Hill keys need 4 vertices (2×2) or 6 (3×3)', matrix: null };
+  }
+
+  const size = matrix.length;
+  const entries = matrix.flat();
+  const determinant = e => (size === 2
+    ? e[0] * e[3] - e[1] * e[2]
+    : e[0] * (e[4] * e[8] - e[5] * e[7]) - e[1] * (e[3] * e[8] - e[5] * e[6]) + e[2] * (e[3] * e[7] - e[4] * e[6]));
+  const invertible = e => {
+    const det = mod(determinant(e), 26);
+    return det % 2 === 1 && det % 13 !== 0;
+  };
+  if (invertible(entries)) {
+    return { valid: true, error: '', matrix };
+  }
+
+  // Moving one coordinate by s changes the single entry it is summed into
+  // by s (see getHillMatrix), so search on the entries directly
+  const coordCount = points.length * 2;
+  const entryOf = Array.from({ length: coordCount }, (v, ci) => {
+    let k = 0;
+    while (Math.floor((k + 1) * coordCount / entries.length) <= ci) k++;
+    return k;
+  });
+  const withChanges = changes => {
+    const e = entries.slice();
+    for (const { ci, delta } of changes) e[entryOf[ci]] += delta;
+    return e;
+  };
+  const describe = ({ ci, delta }) => {
+    const dir = ci % 2 === 0 ? (delta > 0 ? 'right' : 'left') : (delta > 0 ? 'down' : 'up');
+    return `${names[Math.floor(ci / 2)]} ${dir} by ${Math.abs(delta)}px`;
+  };
+
+  const det = mod(determinant(entries), 26);
+  const notInvertible = `Shape not invertible (key determinant ${det} shares a factor with 26)`;
+
+  // Entries are mod 26, so 13px either way covers every change to one entry
+  for (let step = 1; step <= 13; step++) {
+    for (let ci = 0; ci < coordCount; ci++) {
+      for (const delta of [step, -step]) {
+        if (invertible(withChanges([{ ci, delta }]))) {
+          return { valid: false, error: `${notInvertible}. Nudge ${describe({ ci, delta })}`, matrix };
+        }
+      }
+    }
+  }
+
+  // A 3x3 matrix whose entries are all even (or all multiples of 13) stays
+  // singular under any change to two points: each point feeds one row only.
+  // A 30px grid makes every coordinate, and so every entry, even
+  const allEven = entries.every(v => v % 2 === 0);
+  const allThirteens = entries.every(v => v % 13 === 0);
+  if (size === 3 && (allEven || allThirteens)) {
+    const fix = allEven
+      ? 'Every key entry is even, as on any shape snapped to the grid, so no nudge of one or two points can fix it. Redraw it without Shift snapping'
+      : 'Every key entry is a multiple of 13, so no nudge of one or two points can fix it. Redraw the shape';
+    return { valid: false, error: `${notInvertible}. ${fix}`, matrix };
+  }
+
+  // When every cofactor is even (or a multiple of 13) no single entry can
+  // fix it; try two coordinates that feed different entries, fewest px first
+  const pairs = [];
+  for (let ci = 0; ci < coordCount; ci++) {
+    for (let cj = ci + 1; cj < coordCount; cj++) {
+      if (entryOf[ci] !== entryOf[cj]) pairs.push([ci, cj]);
+    }
+  }
+  for (let total = 2; total <= 26; total++) {
+    for (const [ci, cj] of pairs) {
+      for (let first = Math.max(1, total - 13); first <= Math.min(13, total - 1); first++) {
+        for (const [a, b] of [[1, 1], [1, -1], [-1, 1], [-1, -1]]) {
+          const changes = [{ ci, delta: a * first }, { ci: cj, delta: b * (total - first) }];
+          if (invertible(withChanges(changes))) {
+            return {
+              valid: false,
+              error: `${notInvertible}. Nudge ${describe(changes[0])} and ${describe(changes[1])}`,
+              matrix
+            };
+          }
+        }
+      }
+    }
+  }
+
+  return { valid: false, error: `${notInvertible}. No nudge of one or two points fixes it. Redraw the shape`, matrix };
+}
+
 /**
  * PolygonNode - Geometric cipher based on polygon properties
  * Uses polygon characteristics to determine transformation
@@ -350,47 +774,48 @@ class PolygonNode extends CipherNode {
   }
 
   /**
-   * Cipher: Use side count to determine shift, variance to add diffusion
+   * Shift amount derived from the side count
    */
-  apply(input, key = null) {
-    // Use polygon properties to determine transformation
-    const shiftAmount = this.numSides % 26 || 3;
+  getShiftAmount() {
+    return this.numSides % 26 || 3;
+  }
 
-    // Convex polygons get a secondary transformation
-    let result = input;
+  /**
+   * Multiply key derived from side variance (only used when convex)
+   */
+  getMultiplyKey() {
+    const validKeys = [1, 3, 5, 7, 9, 11, 15, 17, 19, 21, 23, 25];
+    return validKeys[Math.floor(this.sideVariance * 2) % validKeys.length];
+  }
 
+  /**
+   * Cipher: Use side count to determine shift, variance to add diffusion
+   */
+  apply(input, key = null) {
     // Primary: shift by number of sides
-    result = result
-      .toUpperCase()
-      .split('')
-      .map(char => {
-        if (!/[A-Z]/.test(char)) return char;
-        const code = char.charCodeAt(0) - 65;
-        const shifted = (code + shiftAmount) % 26;
-        return String.fromCharCode(shifted + 65);
-      })
-      .join('');
+    let result = shiftLetters(input.toUpperCase(), this.getShiftAmount());
 
     // Secondary: if convex, apply a multiply by a derived key
     if (this.convex) {
-      const multiplyKey = (Math.floor(this.sideVariance * 5) % 12) || 3;
-      const validKeys = [1, 3, 5, 7, 9, 11, 15, 17, 19, 21, 23, 25];
-      const key = validKeys[Math.floor(this.sideVariance * 2) % validKeys.length];
-
-      result = result
-        .split('')
-        .map(char => {
-          if (!/[A-Z]/.test(char)) return char;
-          const code = char.charCodeAt(0) - 65;
-          const multiplied = (key * code) % 26;
-          return String.fromCharCode(multiplied + 65);
-        })
-        .join('');
+      result = multiplyLetters(result, this.getMultiplyKey());
     }
 
     return result;
   }
 
+  /**
+   * Undo the multiply (if convex), then the shift
+   */
+  invert(input, key = null) {
+    let result = input.toUpperCase();
+
+    if (this.convex) {
+      result = multiplyLetters(result, modInverse(this.getMultiplyKey(), 26));
+    }
+
+    return shiftLetters(result, -this.getShiftAmount());
+  }
+
   describe() {
     const sides = this.numSides;
     const shape = this.convex ? 'Convex' : 'Concave';
@@ -411,6 +836,49 @@ class PolygonNode extends CipherNode {
     };
     return analysis;
   }
+
+  /**
+   * Side-length spread relative to the mean side
+   * @returns {number} - 0 for perfectly equal sides
+   */
+  getSideSpread() {
+    const mean = this.sideLengths.reduce((a, b) => a + b, 0) / this.sideLengths.length;
+    return mean > 0 ? this.sideVariance / mean : 0;
+  }
+
+  /**
+   * How far a convex polygon is from regular: the larger of the side spread
+   * and the worst corner angle error as a fraction of the regular angle
+   * @returns {number} - 0 for a perfectly regular polygon
+   */
+  getRegularityError() {
+    const ideal = 180 * (this.numSides - 2) / this.numSides;
+    const angles = this.vertices.map((v, i) =>
+      angleAt(v, this.vertices[(i - 1 + this.numSides) % this.numSides], this.vertices[(i + 1) % this.numSides]));
+    const angleError = Math.max(...angles.map(angle => Math.abs(angle - ideal)));
+    return Math.max(this.getSideSpread(), angleError / ideal);
+  }
+
+  /**
+   * Three sides equal within tolerance (0.15 = 15% spread)
+   */
+  isEquilateral(tolerance) {
+    return this.numSides === 3 && this.getSideSpread() <= tolerance;
+  }
+
+  /**
+   * Four equal sides and 90° corners within tolerance
+   */
+  isSquare(tolerance) {
+    return this.numSides === 4 && this.getRegularityError() <= tolerance;
+  }
+
+  /**
+   * Equal sides and equal angles within tolerance
+   */
+  isRegular(tolerance) {
+    return this.numSides >= 3 && this.getRegularityError() <= tolerance;
+  }
 }
 
 /**
@@ -455,6 +923,16 @@ class LineNode extends CipherNode {
       .join('');
   }
 
+  /**
+   * Undo the angle-based shift
+   */
+  invert(input, key = this.key) {
+    if (!input || typeof input !== 'string') return input;
+
+    const shift = Math.round((Math.abs(this.angle) * 180 / Math.PI)) % 26;
+    return shiftLetters(input, -shift);
+  }
+
   describe() {
     const angleStr = this.angleDegrees.toFixed(1);
     const lengthStr = this.length.toFixed(1);
@@ -475,3 +953,722 @@ class LineNode extends CipherNode {
   }
 }
 
+
+
+/**
+ * CircleNode - Geometric circle cipher
+ * Affine transform x -> (a * x + b) mod 26 where the radius sets the
+ * shift b and the center position picks the multiplier a
+ */
+class CircleNode extends CipherNode {
+  constructor(center, radius) {
+    super('circle', 'Circle');
+    this.center = center;
+    this.radius = radius;
+
+    // Derive affine key from geometry
+    const validKeys = [1, 3, 5, 7, 9, 11, 15, 17, 19, 21, 23, 25];
+    this.shift = Math.round(radius) % 26 || 1;
+    this.multiplier = validKeys[mod(Math.round(center.x) + Math.round(center.y), validKeys.length)];
+    this.key = this.shift;
+  }
+
+  apply(input, key = this.key) {
+    return shiftLetters(multiplyLetters(input.toUpperCase(), this.multiplier), this.shift);
+  }
+
+  /**
+   * Undo the shift, then the multiply
+   */
+  invert(input, key = this.key) {
+    const inverse = modInverse(this.multiplier, 26);
+    return multiplyLetters(shiftLetters(input.toUpperCase(), -this.shift), inverse);
+  }
+
+  describe() {
+    const radiusStr = this.radius.toFixed(1);
+    const centerStr = `${Math.round(this.center.x)}, ${Math.round(this.center.y)}`;
+    return `${this.name} (r: ${radiusStr}px, center: ${centerStr})`;
+  }
+
+  /**
+   * Get circle geometry information
+   */
+  getGeometry() {
+    return {
+      center: this.center,
+      radius: this.radius,
+      shift: this.shift,
+      multiplier: this.multiplier
+    };
+  }
+}
+
+
+/**
+ * AngleNode - Geometric angle cipher
+ * Two rays from a shared vertex; the angle measure drives an affine
+ * transform (multiplier from the measure, then shift by the measure)
+ */
+class AngleNode extends CipherNode {
+  constructor(vertex, ray1, ray2) {
+    super('angle', 'Angle');
+    this.vertex = vertex;
+    this.ray1 = ray1;
+    this.ray2 = ray2;
+    this.measure = angleAt(vertex, ray1, ray2);
+
+    // Derive key from the rounded measure
+    const validKeys = [1, 3, 5, 7, 9, 11, 15, 17, 19, 21, 23, 25];
+    const degrees = Math.round(this.measure);
+    this.shift = degrees % 26 || 1;
+    this.multiplier = validKeys[degrees % validKeys.length];
+    this.key = this.shift;
+  }
+
+  apply(input, key = this.key) {
+    return shiftLetters(multiplyLetters(input.toUpperCase(), this.multiplier), this.shift);
+  }
+
+  /**
+   * Undo the shift, then the multiply
+   */
+  invert(input, key = this.key) {
+    const inverse = modInverse(this.multiplier, 26);
+    return multiplyLetters(shiftLetters(input.toUpperCase(), -this.shift), inverse);
+  }
+
+  describe() {
+    return `${this.name} (${this.measure.toFixed(1)}°)`;
+  }
+
+  /**
+   * Get angle geometry information
+   */
+  getGeometry() {
+    return {
+      measure: this.measure,
+      vertex: this.vertex,
+      ray1: this.ray1,
+      ray2: this.ray2,
+      shift: this.shift,
+      multiplier: this.multiplier
+    };
+  }
+}
+
+
+/**
+ * VigenereNode - Polyalphabetic geometric cipher
+ * Each drawn segment (a polygon side, or a line) becomes one key letter:
+ * its rounded length mod 26. Letter i of the signal is shifted by key
+ * letter i mod n, so the same plaintext letter encrypts differently along
+ * the message and single-letter frequencies are flattened
+ */
+class VigenereNode extends CipherNode {
+  /**
+   * @param {Array} segments - [p1, p2] pairs, in key order
+   * @param {string} source - 'polygon' (closed sides) or 'lines'
+   */
+  constructor(segments, source = 'lines') {
+    super('vigenere', 'Vigenère');
+    this.segments = segments;
+    this.source = source;
+    this.shifts = segments.map(([p1, p2]) => Math.round(distance(p1, p2)) % 26);
+    this.keyword = this.shifts.map(shift => String.fromCharCode(shift + 65)).join('');
+    this.key = this.keyword;
+
+    if (source === 'polygon') {
+      this.vertices = segments.map(([p1]) => p1);
+    }
+  }
+
+  /**
+   * Shift each letter by the next key letter (non-letters don't use up the key)
+   * @param {string} input - Signal
+   * @param {number} direction - 1 to encrypt, -1 to decrypt
+   */
+  shiftByKey(input, direction) {
+    if (this.shifts.length === 0) return input.toUpperCase();
+
+    let position = 0;
+    return input
+      .toUpperCase()
+      .split('')
+      .map(char => {
+        if (!/[A-Z]/.test(char)) return char;
+        const shift = this.shifts[position % this.shifts.length];
+        position++;
+        return shiftLetters(char, direction * shift);
+      })
+      .join('');
+  }
+
+  apply(input, key = this.key) {
+    return this.shiftByKey(input, 1);
+  }
+
+  invert(input, key = this.key) {
+    return this.shiftByKey(input, -1);
+  }
+
+  describe() {
+    const from = this.source === 'polygon' ? `${this.segments.length}-gon sides` : `${this.segments.length} line(s)`;
+    return `${this.name} (key: ${this.keyword}, from ${from})`;
+  }
+}
+
+
+/**
+ * ColumnarNode - Columnar transposition keyed by a polygon
+ * The signal is written in rows across one column per vertex (in drawing
+ * order), then read out column by column, leftmost vertex first (ties go
+ * to the higher vertex). No padding is added: when the length is not a
+ * multiple of the column count the last row is left short, and the
+ * receiver can tell which columns are short from the ciphertext length.
+ * Letters only move, so single-letter frequencies are unchanged
+ */
+class ColumnarNode extends CipherNode {
+  constructor(vertices) {
+    super('columnar', 'Columnar');
+    this.vertices = vertices;
+    this.columns = vertices.length;
+
+    // Read order: column indices sorted by their vertex's x, then y
+    this.order = vertices
+      .map((v, i) => i)
+      .sort((a, b) => vertices[a].x - vertices[b].x || vertices[a].y - vertices[b].y);
+    this.key = this.order.map(i => i + 1).join('-');
+  }
+
+  /**
+   * Signal positions in the order they are read out
+   * @param {number} length - Signal length
+   * @returns {number[]} - Indices into the written signal
+   */
+  getReadOrder(length) {
+    const positions = [];
+    for (const column of this.order) {
+      for (let i = column; i < length; i += this.columns) {
+        positions.push(i);
+      }
+    }
+    return positions;
+  }
+
+  apply(input, key = this.key) {
+    const chars = input.toUpperCase().split('');
+    return this.getReadOrder(chars.length).map(i => chars[i]).join('');
+  }
+
+  invert(input, key = this.key) {
+    const chars = input.split('');
+    const result = new Array(chars.length);
+    this.getReadOrder(chars.length).forEach((position, i) => {
+      result[position] = chars[i];
+    });
+    return result.join('');
+  }
+
+  describe() {
+    return `${this.name} (${this.columns} columns, read order ${this.key})`;
+  }
+}
+
+/**
+ * RailFenceNode - Rail-fence transposition keyed by lines
+ * The signal zig-zags down and up across one rail per drawn line (at least
+ * two), then each rail is read out top to bottom. Needs no padding.
+ * Letters only move, so single-letter frequencies are unchanged
+ */
+class RailFenceNode extends CipherNode {
+  /**
+   * @param {Array} lines - [p1, p2] pairs; one rail per line
+   */
+  constructor(lines) {
+    super('railfence', 'Rail Fence');
+    this.lines = lines;
+    this.rails = Math.max(2, lines.length);
+    this.key = this.rails;
+  }
+
+  /**
+   * Signal positions in the order they are read out
+   * @param {number} length - Signal length
+   * @returns {number[]} - Indices into the written signal
+   */
+  getReadOrder(length) {
+    const cycle = 2 * (this.rails - 1);
+    const railOf = i => Math.min(i % cycle, cycle - (i % cycle));
+    const positions = [];
+    for (let rail = 0; rail < this.rails; rail++) {
+      for (let i = 0; i < length; i++) {
+        if (railOf(i) === rail) positions.push(i);
+      }
+    }
+    return positions;
+  }
+
+  apply(input, key = this.key) {
+    const chars = input.toUpperCase().split('');
+    return this.getReadOrder(chars.length).map(i => chars[i]).join('');
+  }
+
+  invert(input, key = this.key) {
+    const chars = input.split('');
+    const result = new Array(chars.length);
+    this.getReadOrder(chars.length).forEach((position, i) => {
+      result[position] = chars[i];
+    });
+    return result.join('');
+  }
+
+  describe() {
+    return `${this.name} (${this.rails} rails)`;
+  }
+}
+
+/**
+ * HillNode - Hill cipher keyed by vertex coordinates
+ * A quadrilateral or two lines give a 2x2 key matrix, a hexagon a 3x3 one
+ * (see getHillMatrix). Letters are encrypted n at a time as vectors, so
+ * changing one plaintext letter changes its whole block. When the letter
+ * count is not a multiple of n, the last n letters are encrypted once more
+ * after the blocks, which covers the leftover letters without padding.
+ * Non-letters stay where they are; signals shorter than n pass through
+ */
+class HillNode extends CipherNode {
+  /**
+   * @param {Array} points - {x, y} points in key order: 4 or 6
+   * @param {string} source - 'polygon' (vertices) or 'lines' (endpoints of two lines)
+   */
+  constructor(points, source = 'polygon') {
+    super('hill', 'Hill');
+    this.points = points;
+    this.source = source;
+    this.matrix = getHillMatrix(points) || [[1]];
+    this.size = this.matrix.length;
+    this.inverse = matrixInverseMod(this.matrix, 26);
+    this.key = this.matrix.map(row => row.join(' ')).join(' / ');
+
+    if (source === 'polygon') {
+      this.vertices = points;
+    }
+  }
+
+  /**
+   * Multiply each block of letters by a matrix
+   * @param {string} input - Signal
+   * @param {number[][]} matrix - Key or inverse key
+   * @param {boolean} tailFirst - Handle the overlapping last block first (decrypting)
+   */
+  transform(input, matrix, tailFirst) {
+    const chars = input.toUpperCase().split('');
+    const letters = [];
+    chars.forEach((char, i) => {
+      if (/[A-Z]/.test(char)) letters.push(i);
+    });
+
+    const n = this.size;
+    if (letters.length < n) return chars.join('');
+
+    const multiplyBlock = start => {
+      const block = letters.slice(start, start + n);
+      const vector = block.map(i => chars[i].charCodeAt(0) - 65);
+      block.forEach((position, row) => {
+        const value = matrix[row].reduce((sum, entry, col) => sum + entry * vector[col], 0);
+        chars[position] = String.fromCharCode(mod(value, 26) + 65);
+      });
+    };
+
+    const fullBlocks = Math.floor(letters.length / n);
+    const hasTail = letters.length % n !== 0;
+    if (hasTail && tailFirst) multiplyBlock(letters.length - n);
+    for (let b = 0; b < fullBlocks; b++) multiplyBlock(b * n);
+    if (hasTail && !tailFirst) multiplyBlock(letters.length - n);
+
+    return chars.join('');
+  }
+
+  apply(input, key = this.key) {
+    return this.transform(input, this.matrix, false);
+  }
+
+  invert(input, key = this.key) {
+    if (!this.inverse) {
+      throw new Error('Key matrix is not invertible mod 26');
+    }
+    return this.transform(input, this.inverse, true);
+  }
+
+  describe() {
+    const from = this.source === 'polygon' ? `${this.points.length}-gon` : '2 lines';
+    return `${this.name} (${this.size}×${this.size} key ${this.key}, from ${from})`;
+  }
+}
+
+/**
+ * Cipher alphabet for a keyword: its letters (first use only), then the
+ * rest of the alphabet in order. "ZEBRAS" -> ZEBRASCDFGHIJKLMNOPQTUVWXY
+ * @param {string} keyword - Any text; non-letters are ignored
+ * @returns {string} - 26-letter cipher alphabet
+ */
+function keywordAlphabet(keyword) {
+  const letters = `${keyword.toUpperCase().replace(/[^A-Z]/g, '')}ABCDEFGHIJKLMNOPQRSTUVWXYZ`;
+  return [...new Set(letters)].join('');
+}
+
+/**
+ * Cipher alphabet shuffled by points' rounded coordinates. The coordinates
+ * are hashed into a seed that drives a Fisher-Yates shuffle, so the same
+ * drawing always gives the same alphabet and a 1px move gives a new one
+ * @param {Array} points - {x, y} points
+ * @returns {string} - 26-letter cipher alphabet
+ */
+function shuffledAlphabet(points) {
+  // FNV-1a over the coordinates
+  let seed = 2166136261;
+  for (const p of points) {
+    for (const value of [Math.round(p.x), Math.round(p.y)]) {
+      seed = Math.imul(seed ^ (value & 0xffff), 16777619) >>> 0;
+    }
+  }
+
+  // Mulberry32: small seeded generator, good enough for a game key
+  const random = () => {
+    seed = (seed + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(seed ^ (seed >>> 15), seed | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+  for (let i = letters.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [letters[i], letters[j]] = [letters[j], letters[i]];
+  }
+  return letters.join('');
+}
+
+/**
+ * SubstitutionNode - Full monoalphabetic substitution
+ * Plain letter i becomes letter i of a 26-letter cipher alphabet, taken
+ * from a keyword or shuffled by the drawing's coordinates (26! possible
+ * alphabets). Still monoalphabetic, so frequency analysis works on it
+ */
+class SubstitutionNode extends CipherNode {
+  /**
+   * @param {string} keyword - Keyword for the alphabet; empty to use the points
+   * @param {Array} points - {x, y} points that seed the shuffle
+   * @param {string} source - Where the points came from: 'polygon' (vertices) or 'lines' (endpoints)
+   */
+  constructor(keyword = '', points = [], source = 'polygon') {
+    super('substitution', 'Substitution');
+    this.keyword = keyword.toUpperCase().replace(/[^A-Z]/g, '');
+    this.points = this.keyword ? [] : points;
+    this.source = this.keyword ? 'keyword' : source;
+    this.alphabet = this.keyword ? keywordAlphabet(this.keyword) : shuffledAlphabet(points);
+    this.key = this.alphabet;
+
+    if (this.source === 'polygon') {
+      this.vertices = points;
+    }
+  }
+
+  /**
+   * Map each letter through one alphabet into another
+   */
+  substitute(input, from, to) {
+    return input
+      .toUpperCase()
+      .split('')
+      .map(char => {
+        const index = from.indexOf(char);
+        return index === -1 ? char : to[index];
+      })
+      .join('');
+  }
+
+  apply(input, key = this.key) {
+    return this.substitute(input, 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', this.alphabet);
+  }
+
+  invert(input, key = this.key) {
+    return this.substitute(input, this.alphabet, 'ABCDEFGHIJKLMNOPQRSTUVWXYZ');
+  }
+
+  describe() {
+    const from = this.source === 'keyword'
+      ? `keyword ${this.keyword}`
+      : this.source === 'polygon' ? `shuffled by ${this.points.length}-gon` : 'shuffled by lines';
+    return `${this.name} (${from}: ABC→${this.alphabet.slice(0, 3)}…)`;
+  }
+}
+
+/**
+ * Enigma I rotor wirings (right-hand contacts for A-Z) and the window
+ * letter at which each one turns over the rotor to its left
+ */
+const ROTORS = {
+  I: { wiring: 'EKMFLGDQVZNTOWYHXUSPAIBRCJ', notch: 'Q' },
+  II: { wiring: 'AJDKSIRUXBLHWTMCQGZNPYFVOE', notch: 'E' },
+  III: { wiring: 'BDFHJLCPRTXVZNYEIWGAKMUSQO', notch: 'V' },
+  IV: { wiring: 'ESOVPZJAYQUIRHXLNFTGKDCMWB', notch: 'J' },
+  V: { wiring: 'VZBRGITYUPSDNHLXAWMJQOFECK', notch: 'Z' }
+};
+
+/**
+ * Enigma reflectors (UKW-B and UKW-C): fixed letter pairs that send the
+ * signal back through the rotors
+ */
+const REFLECTORS = {
+  B: 'YRUHQSLDPXNGOKMIEBFZCWVJAT',
+  C: 'FVPJIAOYEDRZXWGCTKUQSBNMHL'
+};
+
+/**
+ * Check rotor machine settings
+ * @param {object} settings - {rotors: 3 names (left to right), rings: 3 letters,
+ *   reflector: 'B'|'C', plugboard: letter pairs like "AB CD"}
+ * @returns {object} - {valid, error, pairs}; pairs are the plugboard's 2-letter strings
+ */
+function validateRotorSettings(settings) {
+  const { rotors = [], rings = '', reflector = '', plugboard = '' } = settings;
+  const fail = error => ({ valid: false, error, pairs: [] });
+
+  if (rotors.length !== 3 || rotors.some(name => !ROTORS[name])) {
+    return fail(`Choose three rotors from ${Object.keys(ROTORS).join(', ')}`);
+  }
+  if (new Set(rotors).size !== 3) {
+    return fail('Each rotor can only be used once');
+  }
+  if (!/^[A-Z]{3}$/.test(rings)) {
+    return fail('Ring settings are three letters, e.g. AAA');
+  }
+  if (!REFLECTORS[reflector]) {
+    return fail(`Reflector must be ${Object.keys(REFLECTORS).join(' or ')}`);
+  }
+
+  const pairs = plugboard.toUpperCase().split(/[^A-Z]+/).filter(Boolean);
+  const bad = pairs.find(pair => pair.length !== 2 || pair[0] === pair[1]);
+  if (bad) {
+    return fail(`Plugboard pair "${bad}" must be two different letters`);
+  }
+  const letters = pairs.join('');
+  const repeated = [...letters].find((letter, i) => letters.indexOf(letter) !== i);
+  if (repeated) {
+    return fail(`Plugboard letter ${repeated} is used twice`);
+  }
+
+  return { valid: true, error: '', pairs };
+}
+
+/**
+ * RotorNode - Enigma-style rotor machine
+ * Each letter goes through the plugboard, three rotors right to left, the
+ * reflector, back through the rotors and the plugboard. The right rotor
+ * steps before every letter and turns the next one over at its notch
+ * (with the middle rotor's double step), so repeated letters encrypt
+ * differently along the signal. The rotors' start positions come from
+ * three drawn lines: each line's angle (0-360°, from its first point) picks
+ * one of 26 letters. The machine is its own inverse, and never encrypts a
+ * letter to itself. Non-letters pass through without stepping the rotors
+ */
+class RotorNode extends CipherNode {
+  /**
+   * @param {Array} lines - Three [p1, p2] pairs: left, middle and right rotor
+   * @param {object} settings - See validateRotorSettings
+   */
+  constructor(lines, settings = {}) {
+    super('rotor', 'Rotor Machine');
+    this.lines = lines;
+    this.settings = {
+      rotors: settings.rotors || ['I', 'II', 'III'],
+      rings: settings.rings || 'AAA',
+      reflector: settings.reflector || 'B',
+      plugboard: settings.plugboard || ''
+    };
+
+    const validation = validateRotorSettings(this.settings);
+    if (!validation.valid) {
+      console.warn(`${validation.error}. Using the default rotor settings instead.`);
+      this.settings = { rotors: ['I', 'II', 'III'], rings: 'AAA', reflector: 'B', plugboard: '' };
+    }
+    this.pairs = validation.valid ? validation.pairs : [];
+
+    this.start = lines.map(([p1, p2]) => {
+      const degrees = mod(Math.atan2(p2.y - p1.y, p2.x - p1.x) * 180 / Math.PI, 360);
+      return Math.round(degrees / 360 * 26) % 26;
+    });
+    this.key = this.start.map(position => String.fromCharCode(position + 65)).join('');
+
+    this.plugs = {};
+    for (const [a, b] of this.pairs) {
+      this.plugs[a] = b;
+      this.plugs[b] = a;
+    }
+  }
+
+  /**
+   * Turn the rotors for the next letter (right always; middle at the right
+   * rotor's notch; middle and left when the middle is at its own notch)
+   * @param {number[]} positions - Window positions, left to right (changed in place)
+   * @returns {boolean[]} - Which rotors moved
+   */
+  step(positions) {
+    const atNotch = i => String.fromCharCode(positions[i] + 65) === ROTORS[this.settings.rotors[i]].notch;
+    const middleTurns = atNotch(1);
+    const stepped = [middleTurns, middleTurns || atNotch(2), true];
+    stepped.forEach((moves, i) => {
+      if (moves) positions[i] = (positions[i] + 1) % 26;
+    });
+    return stepped;
+  }
+
+  /**
+   * Send one letter through the machine at the given rotor positions
+   * @param {number} code - Letter 0-25
+   * @param {number[]} positions - Window positions, left to right
+   * @returns {number} - Encrypted letter 0-25
+   */
+  encipherLetter(code, positions) {
+    const rings = this.settings.rings.split('').map(letter => letter.charCodeAt(0) - 65);
+    const through = (c, i, backwards) => {
+      const wiring = ROTORS[this.settings.rotors[i]].wiring;
+      const offset = positions[i] - rings[i];
+      const contact = String.fromCharCode(mod(c + offset, 26) + 65);
+      const wired = backwards ? wiring.indexOf(contact) : wiring.charCodeAt(contact.charCodeAt(0) - 65) - 65;
+      return mod(wired - offset, 26);
+    };
+    const plug = c => {
+      const letter = String.fromCharCode(c + 65);
+      return (this.plugs[letter] || letter).charCodeAt(0) - 65;
+    };
+
+    let c = plug(code);
+    for (let i = 2; i >= 0; i--) c = through(c, i, false);
+    c = REFLECTORS[this.settings.reflector].charCodeAt(c) - 65;
+    for (let i = 0; i <= 2; i++) c = through(c, i, true);
+    return plug(c);
+  }
+
+  /**
+   * Encrypt a signal letter by letter, recording the machine after each one
+   * @param {string} input - Signal
+   * @returns {object[]} - Per character: {input, output, positions, stepped}
+   */
+  trace(input) {
+    const positions = [...this.start];
+    return input.toUpperCase().split('').map(char => {
+      if (!/[A-Z]/.test(char)) {
+        return { input: char, output: char, positions: [...positions], stepped: [false, false, false] };
+      }
+      const stepped = this.step(positions);
+      const output = String.fromCharCode(this.encipherLetter(char.charCodeAt(0) - 65, positions) + 65);
+      return { input: char, output, positions: [...positions], stepped };
+    });
+  }
+
+  apply(input, key = this.key) {
+    return this.trace(input).map(entry => entry.output).join('');
+  }
+
+  invert(input, key = this.key) {
+    // Reflecting makes the machine reciprocal: the same settings decrypt
+    return this.apply(input);
+  }
+
+  describe() {
+    const plugs = this.pairs.length > 0 ? `, plugs ${this.pairs.join(' ')}` : '';
+    return `${this.name} (${this.settings.rotors.join('-')}, UKW-${this.settings.reflector}, ` +
+      `rings ${this.settings.rings}, start ${this.key}${plugs})`;
+  }
+}
+
+/**
+ * Node types that count against a level's maxNodes (drawn shapes and the
+ * nodes keyed by them; lines and the keyboard nodes are free)
+ */
+const LIMITED_NODE_TYPES = ['polygon', 'circle', 'angle', 'vigenere', 'columnar', 'railfence', 'hill', 'substitution', 'rotor'];
+
+
+/**
+ * NODE SERIALIZATION - Plain data for saving pipelines
+ */
+
+/**
+ * Convert a node into plain data
+ * Geometric nodes store their geometry so keys are re-derived on load
+ * @param {CipherNode} node - The node to save
+ * @returns {object|null} - Serializable data, or null for unknown node types
+ */
+function serializeNode(node) {
+  switch (node.type) {
+    case 'shift':
+    case 'multiply':
+      return { type: node.type, key: node.key };
+    case 'reverse':
+      return { type: 'reverse' };
+    case 'polygon':
+      return { type: 'polygon', vertices: node.vertices };
+    case 'line':
+      return { type: 'line', point1: node.point1, point2: node.point2 };
+    case 'circle':
+      return { type: 'circle', center: node.center, radius: node.radius };
+    case 'angle':
+      return { type: 'angle', vertex: node.vertex, ray1: node.ray1, ray2: node.ray2 };
+    case 'vigenere':
+      return { type: 'vigenere', segments: node.segments, source: node.source };
+    case 'columnar':
+      return { type: 'columnar', vertices: node.vertices };
+    case 'railfence':
+      return { type: 'railfence', lines: node.lines };
+    case 'hill':
+      return { type: 'hill', points: node.points, source: node.source };
+    case 'substitution':
+      return { type: 'substitution', keyword: node.keyword, points: node.points, source: node.source };
+    case 'rotor':
+      return { type: 'rotor', lines: node.lines, settings: node.settings };
+    default:
+      console.warn(`Cannot save ${node.type} node`);
+      return null;
+  }
+}
+
+/**
+ * Rebuild a node from data produced by serializeNode
+ * @param {object} data - Saved node data
+ * @returns {CipherNode} - The rebuilt node
+ */
+function deserializeNode(data) {
+  switch (data.type) {
+    case 'shift':
+      return new ShiftNode(data.key);
+    case 'multiply':
+      return new MultiplyNode(data.key);
+    case 'reverse':
+      return new ReverseNode();
+    case 'polygon':
+      return new PolygonNode(data.vertices);
+    case 'line':
+      return new LineNode(data.point1, data.point2);
+    case 'circle':
+      return new CircleNode(data.center, data.radius);
+    case 'angle':
+      return new AngleNode(data.vertex, data.ray1, data.ray2);
+    case 'vigenere':
+      return new VigenereNode(data.segments, data.source);
+    case 'columnar':
+      return new ColumnarNode(data.vertices);
+    case 'railfence':
+      return new RailFenceNode(data.lines);
+    case 'hill':
+      return new HillNode(data.points, data.source);
+    case 'substitution':
+      return new SubstitutionNode(data.keyword, data.points, data.source);
+    case 'rotor':
+      return new RotorNode(data.lines, data.settings);
+    default:
+      throw new Error(`Unknown node type: ${data.type}`);
+  }
+}
@@ -12,207 +12,1642 @@ class PolygonBuilder {
     }
 
     this.ctx = this.canvas.getContext('2d');
+
+    // Logical size in CSS pixels; the backing store is this times devicePixelRatio
+    this.width = this.canvas.width;
+    this.height = this.canvas.height;
+    this.pixelRatio = 1;
+
+    // Rendering: draw() marks the canvas dirty and one animation frame repaints it
+    this.dirty = false;
+    this.frameRequested = false;
+    this.validatePending = false; // Set by scheduleValidate() during drags
+    this.gridLayer = document.createElement('canvas'); // Background and grid, cached offscreen
+    this.gridLayerKey = null; // View the grid layer was drawn for
+
     this.vertices = [];
     this.draggingVertex = null;
     this.isValid = false;
     this.validationError = '';
     this.gameRef = options.gameRef || null; // Reference to game object for constraints
     this.limitWarning = ''; // Feedback when limits reached
+    this.history = options.history || null; // EditHistory for undo/redo (optional)
+    this.keyKind = 'shape'; // Node kind the drawing will key (see setKeyKind())
+    this.pendingEdit = null; // Canvas state captured by beginEdit()
+    this.listeners = {}; // Event type -> handlers (see on())
+
+    // Line drawing mode
+    this.mode = 'polygon'; // 'polygon', 'line', 'circle', 'angle' or 'freehand'
+    this.linePoints = []; // For line mode: stores current line points being drawn
+    this.completedLines = []; // For line mode: stores finished lines ready to add
+    this.draggingLinePoint = null; // {line, point} being dragged; line is null for the in-progress line
+
+    // Circle drawing mode
+    this.circles = []; // For circle mode: stores finished {center, radius} circles
+    this.circleDraft = null; // For circle mode: circle being dragged out
+
+    // Angle drawing mode
+    this.anglePoints = []; // For angle mode: [vertex, ray1, ray2] being placed
+    this.completedAngles = []; // For angle mode: finished [vertex, ray1, ray2] angles
+    this.draggingAnglePoint = null; // For angle mode: {angle, point} being dragged
+    this.hoverPos = null; // Cursor position for the live angle preview
+
+    // Freehand drawing mode
+    this.stroke = null; // For freehand mode: raw points of the stroke being drawn
+    this.recognized = null; // For freehand mode: recognizeStroke() result for the last stroke
+
+    // Whole-shape selection and transforms (select tool)
+    this.tool = 'draw'; // 'draw' or 'select'
+    this.selection = null; // {kind: 'polygon'} or {kind: 'line', index}
+    this.transformDrag = null; // {op: 'move'|'rotate'|'scale', start, original, pivot}
+    this.transformReadout = ''; // Shown while transforming, e.g. "Rotate +30.0°"
+
+    // Measurement overlay
+    this.showMeasurements = options.showMeasurements !== false; // Edge lengths, angles
+    this.showGuides = false; // Rays at the level's target angles
+
+    // Snapping (hold Shift while drawing)
+    this.gridSize = options.gridSize || 30; // Matches the drawn grid
+    this.angleSnapStep = options.angleSnapStep || 15; // Degrees
+    this.lengthSnapTolerance = options.lengthSnapTolerance || 0.15; // Fraction of the previous edge
+    this.snapIndicator = null; // {point, anchor, labels} for the snap last applied
+
+    // Configuration
+    this.vertexRadius = options.vertexRadius || 8;
+    this.snapDistance = options.snapDistance || 15;
+    this.minDragDistance = options.minDragDistance || 15;
+    this.minRadius = options.minRadius || 15;
+    this.tapSlop = options.tapSlop || 10; // Screen pixels a tap may wander and still count
+    this.longPressMs = options.longPressMs || 500; // Touch/pen hold time that removes
+
+    // View transform (screen = world * scale + offset); geometry stays in world units
+    this.view = { scale: 1, x: 0, y: 0 };
+    this.minScale = 0.5;
+    this.maxScale = 4;
+    this.wheelZoomSpeed = options.wheelZoomSpeed || 0.0015; // Zoom per wheel pixel
+
+    // Active pointers and the gesture they form
+    this.pointers = new Map(); // pointerId -> latest canvas position
+    this.press = null; // Single-pointer press: {id, start, moved, longPressed, timer}
+    this.pinch = null; // Two-finger gesture: {startDist, startScale, worldMid}
+    this.pan = null; // Drag-to-pan: {id, start, last} in canvas pixels
+
+    // Keyboard drawing
+    this.hasFocus = false;
+    this.keyboardCursor = { x: this.width / 2, y: this.height / 2 }; // World position Enter adds at
+    this.selectedPoint = null; // Index into getPointRefs() picked with Tab
+    this.nudging = false; // Arrow-key moves in progress (one history entry per hold)
+    this.announcer = options.announcerId ? document.getElementById(options.announcerId) : null;
+    this.coordinateDialog = options.coordinateDialogId ? document.getElementById(options.coordinateDialogId) : null;
+
+    // Colors
+    this.colors = {
+      measure: '#ffaa00',
+      guide: '#ff00ff',
+      background: '#0a0e27',
+      gridLine: '#1a2847',
+      validVertex: '#00ff88',
+      invalidVertex: '#ff0055',
+      validEdge: '#00d4ff',
+      invalidEdge: '#ffaa00',
+      validFill: '#00ff8820',
+      invalidFill: '#ff005520'
+    };
+
+    this.setupEventListeners();
+    this.setupKeyboard();
+    this.updatePixelRatio();
+    this.draw();
+  }
+
+  /**
+   * Size the backing store for the screen's devicePixelRatio so the canvas
+   * stays sharp on HiDPI displays, and follow later changes (browser zoom,
+   * moving the window to another monitor)
+   */
+  updatePixelRatio() {
+    this.pixelRatio = window.devicePixelRatio || 1;
+    this.canvas.width = Math.round(this.width * this.pixelRatio);
+    this.canvas.height = Math.round(this.height * this.pixelRatio);
+    this.canvas.style.width = `${this.width}px`; // CSS size stays the logical size
+    this.gridLayer.width = this.canvas.width;
+    this.gridLayer.height = this.canvas.height;
+    this.gridLayerKey = null;
+    this.draw();
+
+    // Matches only while the ratio is unchanged, so it fires once per change
+    if (window.matchMedia) {
+      window.matchMedia(`(resolution: ${this.pixelRatio}dppx)`)
+        .addEventListener('change', () => this.updatePixelRatio(), { once: true });
+    }
+  }
+
+  /**
+   * Subscribe to a builder event. Types and their detail:
+   *   vertex-added {mode, point} - a vertex, line point or angle point was placed
+   *   vertex-moved {mode} - points were dragged, nudged or transformed
+   *   vertex-removed {mode} - a point or shape was removed
+   *   line-completed {line, index} - a line got its second point
+   *   shape-completed {mode} - an angle, circle or freehand shape was finished
+   *   mode-changed {mode}
+   *   cleared {} - everything was removed
+   *   restored {} - a getState() snapshot was put back (undo/redo, resume)
+   *   selection-changed {selection} - the select tool picked a shape (or none)
+   *   edit-committed {label} - an edit was recorded in the history
+   *   validated {isValid, error} - the drawing was re-validated after a change
+   *   view-changed {view} - the canvas was zoomed or panned
+   * @param {string} type - Event type
+   * @param {Function} handler - Called with (detail, builder)
+   */
+  on(type, handler) {
+    (this.listeners[type] = this.listeners[type] || []).push(handler);
+  }
+
+  off(type, handler) {
+    this.listeners[type] = (this.listeners[type] || []).filter(h => h !== handler);
+  }
+
+  emit(type, detail = {}) {
+    for (const handler of this.listeners[type] || []) {
+      handler(detail, this);
+    }
+  }
+
+  /**
+   * Pointer Events cover mouse, touch and pen alike. Mouse keeps right-click
+   * to remove; touch and pen use a long press instead. Pen pressure is ignored
+   */
+  setupEventListeners() {
+    this.canvas.style.touchAction = 'none'; // We handle pinch/pan ourselves
+    this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+    this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+    this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+    this.canvas.addEventListener('pointercancel', (e) => this.onPointerCancel(e));
+    this.canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+    this.canvas.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      // Touch long presses raise contextmenu too; those are handled by the timer
+      if (this.press && this.press.pointerType !== 'mouse') return;
+      this.handleRemove(e);
+    });
+  }
+
+  onPointerDown(e) {
+    const canvasPos = this.getCanvasPos(e);
+    this.pointers.set(e.pointerId, canvasPos);
+    this.canvas.setPointerCapture?.(e.pointerId);
+
+    if (this.pointers.size === 2) {
+      // Second finger: whatever the first one started becomes a pinch/pan
+      this.cancelPress();
+      this.startPinch();
+      return;
+    }
+    if (this.pointers.size > 2 || this.pinch) return;
+
+    // Middle button drags the view; so does the select tool on empty canvas
+    if (e.pointerType === 'mouse' && e.button === 1) {
+      e.preventDefault(); // No autoscroll
+      this.pan = { id: e.pointerId, start: canvasPos, last: canvasPos };
+      return;
+    }
+
+    // Non-primary mouse buttons only remove (via contextmenu)
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    if (this.tool === 'select') {
+      const pos = this.toWorld(canvasPos);
+      if (!this.hitTestHandle(pos) && !this.hitTestShape(pos)) {
+        this.pan = { id: e.pointerId, start: canvasPos, last: canvasPos };
+        return;
+      }
+    }
+
+    this.press = {
+      id: e.pointerId,
+      pointerType: e.pointerType,
+      start: canvasPos,
+      moved: false,
+      longPressed: false,
+      timer: null
+    };
+
+    if (e.pointerType !== 'mouse') {
+      this.press.timer = setTimeout(() => this.handleLongPress(e), this.longPressMs);
+    }
+
+    this.handlePress(e);
+  }
+
+  onPointerMove(e) {
+    if (this.pointers.has(e.pointerId)) {
+      this.pointers.set(e.pointerId, this.getCanvasPos(e));
+    }
+
+    if (this.pinch) {
+      this.updatePinch();
+      return;
+    }
+
+    if (this.pan) {
+      if (this.pan.id === e.pointerId) {
+        const pos = this.getCanvasPos(e);
+        this.panBy(pos.x - this.pan.last.x, pos.y - this.pan.last.y);
+        this.pan.last = pos;
+      }
+      return;
+    }
+
+    if (this.press && this.press.id === e.pointerId && !this.press.moved) {
+      if (distance(this.press.start, this.getCanvasPos(e)) > this.tapSlop) {
+        this.press.moved = true;
+        clearTimeout(this.press.timer);
+      }
+    }
+
+    // Hovering mice and pens still update cursors and previews
+    if (!this.press || this.press.id === e.pointerId) {
+      this.handleMove(e);
+    }
+  }
+
+  onPointerUp(e) {
+    this.pointers.delete(e.pointerId);
+
+    if (this.pan && this.pan.id === e.pointerId) {
+      // A click on empty canvas (no real drag) still deselects
+      if (this.tool === 'select' && distance(this.pan.start, this.pan.last) <= this.tapSlop && this.selection) {
+        this.selection = null;
+        this.emit('selection-changed', { selection: null });
+        this.draw();
+      }
+      this.pan = null;
+      return;
+    }
+
+    if (this.pinch) {
+      // Wait until every finger has lifted before drawing again
+      if (this.pointers.size === 0) this.pinch = null;
+      return;
+    }
+
+    if (!this.press || this.press.id !== e.pointerId) return;
+
+    const press = this.press;
+    this.press = null;
+    clearTimeout(press.timer);
+
+    this.handleRelease(e);
+    if (!press.moved && !press.longPressed) {
+      this.handleTap(e);
+    }
+  }
+
+  onPointerCancel(e) {
+    this.pointers.delete(e.pointerId);
+    if (this.pan && this.pan.id === e.pointerId) this.pan = null;
+    if (this.press && this.press.id === e.pointerId) {
+      this.cancelPress();
+    }
+    if (this.pointers.size === 0) this.pinch = null;
+  }
+
+  /**
+   * Touch/pen held still: remove, like a right click
+   */
+  handleLongPress(e) {
+    if (!this.press || this.press.moved) return;
+
+    this.press.longPressed = true;
+    // The press may have grabbed a point to drag; drop it rather than move it
+    this.draggingVertex = null;
+    this.draggingAnglePoint = null;
+    this.circleDraft = null;
+    this.handleRemove(e);
+  }
+
+  /**
+   * Abandon the current single-pointer press (e.g. a second finger landed)
+   * Drags finish where they are; a half-drawn circle is discarded
+   */
+  cancelPress() {
+    if (!this.press) return;
+
+    clearTimeout(this.press.timer);
+    this.press = null;
+    this.circleDraft = null;
+    this.stroke = null;
+    this.handleRelease();
+  }
+
+  startPinch() {
+    const [a, b] = [...this.pointers.values()];
+    const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    this.pinch = {
+      startDist: Math.max(distance(a, b), 1),
+      startScale: this.view.scale,
+      worldMid: this.toWorld(mid)
+    };
+  }
+
+  /**
+   * Zoom by the change in finger spread and pan so the point that was
+   * under the fingers' midpoint stays under it
+   */
+  updatePinch() {
+    if (this.pointers.size < 2) return;
+
+    const [a, b] = [...this.pointers.values()];
+    const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    const scale = this.pinch.startScale * (distance(a, b) / this.pinch.startDist);
+
+    this.view.scale = this.clampScale(scale);
+    this.view.x = mid.x - this.pinch.worldMid.x * this.view.scale;
+    this.view.y = mid.y - this.pinch.worldMid.y * this.view.scale;
+    this.viewChanged();
+  }
+
+  /**
+   * Mouse wheel (or trackpad pinch, which arrives as ctrl+wheel) zooms at the pointer
+   */
+  onWheel(e) {
+    e.preventDefault();
+    const pixels = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY; // Lines to pixels
+    this.zoomAt(this.getCanvasPos(e), Math.exp(-pixels * this.wheelZoomSpeed));
+  }
+
+  clampScale(scale) {
+    return Math.min(this.maxScale, Math.max(this.minScale, scale));
+  }
+
+  /**
+   * Zoom by a factor, keeping the world point under a canvas position still
+   * @param {Object} canvasPos - {x, y} in canvas pixels
+   * @param {number} factor - Above 1 zooms in
+   */
+  zoomAt(canvasPos, factor) {
+    const world = this.toWorld(canvasPos);
+    this.view.scale = this.clampScale(this.view.scale * factor);
+    this.view.x = canvasPos.x - world.x * this.view.scale;
+    this.view.y = canvasPos.y - world.y * this.view.scale;
+    this.viewChanged();
+  }
+
+  /**
+   * Move the view by canvas pixels
+   */
+  panBy(dx, dy) {
+    this.view.x += dx;
+    this.view.y += dy;
+    this.viewChanged();
+  }
+
+  /**
+   * Back to 100% with the world origin at the top left
+   */
+  resetView() {
+    this.view = { scale: 1, x: 0, y: 0 };
+    this.viewChanged();
+  }
+
+  isViewReset() {
+    return this.view.scale === 1 && this.view.x === 0 && this.view.y === 0;
+  }
+
+  viewChanged() {
+    this.emit('view-changed', { view: { ...this.view } });
+    this.draw();
+  }
+
+  /**
+   * Make the canvas focusable and drawable from the keyboard:
+   * arrows move the cursor (or the selected point), Enter adds, Tab selects,
+   * Delete removes, C types exact coordinates, S reads out the status
+   */
+  setupKeyboard() {
+    this.canvas.tabIndex = 0;
+    this.canvas.setAttribute('role', 'application');
+    this.canvas.setAttribute('aria-roledescription', 'drawing canvas');
+    this.canvas.setAttribute(
+      'aria-label',
+      'Geometric constructor. Arrow keys move the cursor, Shift for bigger steps. ' +
+      'Enter adds a point. Tab selects points; arrows then move the selected point. ' +
+      'Delete removes. C types exact coordinates. S reads the current status.'
+    );
+
+    this.canvas.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    this.canvas.addEventListener('keyup', (e) => this.handleKeyUp(e));
+    this.canvas.addEventListener('focus', () => {
+      this.hasFocus = true;
+      this.draw();
+    });
+    this.canvas.addEventListener('blur', () => {
+      this.hasFocus = false;
+      this.finishNudge();
+      this.draw();
+    });
+
+    if (this.coordinateDialog) {
+      this.coordinateDialog.addEventListener('close', () => this.handleCoordinateDialogClose());
+    }
+  }
+
+  handleKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return; // Leave shortcuts like undo alone
+
+    const step = e.shiftKey ? 10 : 1;
+    const arrows = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step]
+    };
+
+    if (arrows[e.key]) {
+      e.preventDefault();
+      this.nudge(...arrows[e.key]);
+    } else if (e.key === 'Tab') {
+      // Only keep focus while there is another point to move to
+      if (this.cycleSelection(e.shiftKey ? -1 : 1)) e.preventDefault();
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      this.keyboardAdd();
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      this.keyboardRemove();
+    } else if (e.key === 'Escape') {
+      this.finishNudge();
+      this.selectedPoint = null;
+      this.circleDraft = null;
+      this.announce('Selection cleared. Cursor at ' + this.formatPos(this.keyboardCursor));
+      this.draw();
+    } else if (e.key === 'c' || e.key === 'C') {
+      e.preventDefault();
+      this.openCoordinateDialog();
+    } else if (e.key === 's' || e.key === 'S') {
+      e.preventDefault();
+      this.announce('');
+    } else if (e.key === '+' || e.key === '=' || e.key === '-') {
+      // Zoom around the keyboard cursor
+      e.preventDefault();
+      const screen = {
+        x: this.keyboardCursor.x * this.view.scale + this.view.x,
+        y: this.keyboardCursor.y * this.view.scale + this.view.y
+      };
+      this.zoomAt(screen, e.key === '-' ? 1 / 1.25 : 1.25);
+      this.announce(`Zoom ${Math.round(this.view.scale * 100)} percent.`);
+    } else if (e.key === '0') {
+      e.preventDefault();
+      this.resetView();
+      this.announce('View reset to 100 percent.');
+    }
+  }
+
+  handleKeyUp(e) {
+    if (e.key.startsWith('Arrow')) {
+      this.finishNudge();
+    }
+  }
+
+  /**
+   * Every point the keyboard can select in the current mode
+   * @returns {Object[]} - {points, index, label, remove()}; points[index] is the position
+   */
+  getPointRefs() {
+    const refs = [];
+
+    if (this.mode === 'line') {
+      this.completedLines.forEach((line, i) => {
+        line.forEach((_, j) => refs.push({
+          points: line,
+          index: j,
+          label: `Line ${i + 1} ${j === 0 ? 'start' : 'end'}`,
+          remove: () => this.completedLines.splice(i, 1)
+        }));
+      });
+      this.linePoints.forEach((_, j) => refs.push({
+        points: this.linePoints,
+        index: j,
+        label: 'New line start',
+        remove: () => this.linePoints.splice(j, 1)
+      }));
+    } else if (this.mode === 'angle') {
+      const names = ['vertex', 'ray 1 end', 'ray 2 end'];
+      this.completedAngles.forEach((points, i) => {
+        points.forEach((_, j) => refs.push({
+          points,
+          index: j,
+          label: `Angle ${i + 1} ${names[j]}`,
+          remove: () => this.completedAngles.splice(i, 1)
+        }));
+      });
+      this.anglePoints.forEach((_, j) => refs.push({
+        points: this.anglePoints,
+        index: j,
+        label: `New angle ${names[j]}`,
+        remove: () => this.anglePoints.splice(j)
+      }));
+    } else if (this.mode === 'freehand') {
+      // Freehand shapes are redrawn, not edited point by point
+    } else if (this.mode === 'circle') {
+      this.circles.forEach((circle, i) => refs.push({
+        points: circle,
+        index: 'center',
+        label: `Circle ${i + 1} center (radius ${circle.radius.toFixed(0)})`,
+        remove: () => this.circles.splice(i, 1)
+      }));
+    } else {
+      this.vertices.forEach((_, i) => refs.push({
+        points: this.vertices,
+        index: i,
+        label: `Vertex ${i + 1}`,
+        remove: () => this.vertices.splice(i, 1)
+      }));
+    }
+
+    return refs;
+  }
+
+  getSelectedRef() {
+    if (this.selectedPoint === null) return null;
+    return this.getPointRefs()[this.selectedPoint] || null;
+  }
+
+  /**
+   * Move the selection to the next/previous point
+   * @returns {boolean} - False when stepping past either end (focus may leave)
+   */
+  cycleSelection(direction) {
+    const refs = this.getPointRefs();
+    this.finishNudge();
+
+    const next = this.selectedPoint === null
+      ? (direction > 0 ? 0 : refs.length - 1)
+      : this.selectedPoint + direction;
+
+    if (next < 0 || next >= refs.length) {
+      this.selectedPoint = null;
+      this.draw();
+      return false;
+    }
+
+    this.selectedPoint = next;
+    this.announce(`${refs[next].label} selected at ${this.formatPos(refs[next].points[refs[next].index])}.`);
+    this.draw();
+    return true;
+  }
+
+  /**
+   * Arrow keys: move the selected point, or the cursor if nothing is selected
+   */
+  nudge(dx, dy) {
+    const ref = this.getSelectedRef();
+
+    if (ref) {
+      if (!this.nudging) {
+        this.beginEdit();
+        this.nudging = true;
+      }
+      const pos = ref.points[ref.index];
+      ref.points[ref.index] = { x: pos.x + dx, y: pos.y + dy };
+      this.emit('vertex-moved', { mode: this.mode });
+      this.scheduleValidate();
+    } else {
+      this.keyboardCursor = { x: this.keyboardCursor.x + dx, y: this.keyboardCursor.y + dy };
+      this.hoverPos = this.keyboardCursor;
+      if (this.circleDraft) {
+        this.circleDraft.radius = distance(this.circleDraft.center, this.keyboardCursor);
+      }
+    }
+
+    this.draw();
+  }
+
+  /**
+   * End a run of arrow-key moves as a single history entry and read out the result
+   */
+  finishNudge() {
+    if (!this.nudging) return;
+    this.nudging = false;
+
+    const ref = this.getSelectedRef();
+    this.commitEdit('Move point');
+    if (ref) {
+      this.announce(`${ref.label} moved to ${this.formatPos(ref.points[ref.index])}.`);
+    }
+  }
+
+  /**
+   * Enter: add a point at the cursor. In circle mode the first press
+   * places the center and the second sets the radius
+   */
+  keyboardAdd() {
+    this.finishNudge();
+    const pos = { ...this.keyboardCursor };
+
+    if (this.mode === 'freehand') {
+      this.announce('Freehand mode needs a pointer stroke. Use polygon, line, circle or angle mode from the keyboard.');
+      return;
+    }
+
+    if (this.mode === 'circle') {
+      if (!this.circleDraft) {
+        this.beginEdit();
+        this.circleDraft = { center: pos, radius: 0 };
+        this.announce(`Circle center placed at ${this.formatPos(pos)}. Move the cursor and press Enter to set the radius.`);
+      } else {
+        const radius = this.circleDraft.radius;
+        this.handleRelease();
+        this.announce(radius >= this.minRadius
+          ? `Circle added with radius ${radius.toFixed(0)}.`
+          : `Radius too small (minimum ${this.minRadius}). Circle discarded.`);
+      }
+      this.draw();
+      return;
+    }
+
+    if (this.addPointAt(pos)) {
+      this.announce(`Point added at ${this.formatPos(pos)}.`);
+    } else {
+      this.announce(this.limitWarning || `No point added at ${this.formatPos(pos)}; a point is already there.`);
+    }
+  }
+
+  /**
+   * Delete: remove the selected point's shape, or the last one if nothing is selected
+   */
+  keyboardRemove() {
+    this.finishNudge();
+    const ref = this.getSelectedRef();
+
+    if (ref) {
+      this.beginEdit();
+      ref.remove();
+      this.emit('vertex-removed', { mode: this.mode });
+      this.commitEdit(`Remove ${ref.label.toLowerCase()}`);
+      this.selectedPoint = null;
+      this.validate();
+      this.draw();
+      this.announce(`${ref.label} removed.`);
+    } else {
+      this.announce(this.handleRemove(null) ? 'Point removed.' : 'Nothing to remove.');
+    }
+  }
+
+  /**
+   * Ask for exact coordinates: moves the selected point, or adds one there
+   */
+  openCoordinateDialog() {
+    if (!this.coordinateDialog) return;
+    this.finishNudge();
+
+    const ref = this.getSelectedRef();
+    const pos = ref ? ref.points[ref.index] : this.keyboardCursor;
+    const form = this.coordinateDialog.querySelector('form');
+    form.elements.x.value = Math.round(pos.x);
+    form.elements.y.value = Math.round(pos.y);
+    this.coordinateDialog.querySelector('.coordinate-target').textContent = ref
+      ? `Move ${ref.label.toLowerCase()}`
+      : 'Add a point';
+
+    this.coordinateDialog.returnValue = '';
+    this.coordinateDialog.showModal();
+  }
+
+  handleCoordinateDialogClose() {
+    const dialog = this.coordinateDialog;
+    this.canvas.focus();
+    if (dialog.returnValue !== 'ok') return;
+
+    const form = dialog.querySelector('form');
+    const pos = { x: parseFloat(form.elements.x.value), y: parseFloat(form.elements.y.value) };
+    if (!Number.isFinite(pos.x) || !Number.isFinite(pos.y)) {
+      this.announce('Coordinates must be numbers.');
+      return;
+    }
+
+    const ref = this.getSelectedRef();
+    if (ref) {
+      this.beginEdit();
+      ref.points[ref.index] = pos;
+      this.commitEdit('Move point');
+      this.validate();
+      this.draw();
+      this.announce(`${ref.label} moved to ${this.formatPos(pos)}.`);
+    } else {
+      this.keyboardCursor = pos;
+      this.keyboardAdd();
+    }
+  }
+
+  formatPos(pos) {
+    return `${Math.round(pos.x)}, ${Math.round(pos.y)}`;
+  }
+
+  /**
+   * Read a message to screen readers, followed by the game's status summary
+   */
+  announce(message) {
+    if (!this.announcer) return;
+
+    const status = this.gameRef && this.gameRef.getBuilderAnnouncement
+      ? this.gameRef.getBuilderAnnouncement()
+      : '';
+    const text = [message, status].filter(Boolean).join(' ');
+
+    // Clear first so repeating the same message is still announced
+    this.announcer.textContent = '';
+    setTimeout(() => {
+      this.announcer.textContent = text;
+    }, 50);
+  }
+
+  /**
+   * Get a pointer's position in logical canvas pixels (independent of
+   * devicePixelRatio and of any CSS scaling of the canvas)
+   * Works for any event with clientX/clientY (mouse, touch or pen)
+   */
+  getCanvasPos(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    
+    // Calculate the scale ratio between displayed size and logical canvas size
+    const scaleX = this.width / rect.width;
+    const scaleY = this.height / rect.height;
+    
+    return {
+      x: (e.clientX - rect.left) * scaleX,
+      y: (e.clientY - rect.top) * scaleY
+    };
+  }
+
+  /**
+   * Convert canvas pixels to world coordinates (undoes pinch zoom/pan)
+   */
+  toWorld(pos) {
+    return {
+      x: (pos.x - this.view.x) / this.view.scale,
+      y: (pos.y - this.view.y) / this.view.scale
+    };
+  }
+
+  /**
+   * Get a pointer's position in world coordinates, where all geometry lives
+   */
+  getPointerPos(e) {
+    return this.toWorld(this.getCanvasPos(e));
+  }
+
+  /**
+   * Grab radius in world units, so it feels the same at any zoom
+   */
+  getSnapRadius() {
+    return this.snapDistance / this.view.scale;
+  }
+
+  /**
+   * Capture the canvas before an edit so commitEdit() can record it
+   */
+  beginEdit() {
+    if (this.history) {
+      this.pendingEdit = this.getState();
+    }
+  }
+
+  /**
+   * Record the edit started by beginEdit() as one history entry
+   * Drags call this once on mouse up, so the whole drag undoes in one step
+   * @param {string} label - What the edit did
+   */
+  commitEdit(label) {
+    const before = this.pendingEdit;
+    this.pendingEdit = null;
+    if (!before) return;
+
+    const after = this.getState();
+    if (JSON.stringify(before) === JSON.stringify(after)) return; // Nothing changed
+
+    this.history.push(new SnapshotCommand(label, state => this.setState(state), before, after));
+    this.emit('edit-committed', { label });
+  }
+
+  /**
+   * Find closest vertex to mouse position
+   */
+  getClosestVertex(pos) {
+    let closest = null;
+    let minDist = this.getSnapRadius();
+
+    for (let i = 0; i < this.vertices.length; i++) {
+      const dist = distance(pos, this.vertices[i]);
+      if (dist < minDist) {
+        minDist = dist;
+        closest = i;
+      }
+    }
+
+    return closest;
+  }
+
+  /**
+   * Handle a tap or click - add vertex or line point
+   */
+  handleTap(e) {
+    if (this.tool === 'select') return; // Selection happens on press
+    if (this.draggingVertex !== null) return; // Don't add while dragging
+    if (this.mode === 'circle' || this.mode === 'freehand') return; // Created by dragging
+
+    let pos = this.getPointerPos(e);
+    if (this.isSnapping(e)) {
+      pos = this.snapPoint(pos, this.getAddSnapContext());
+    }
+    this.snapIndicator = null;
+    this.addPointAt(pos);
+  }
+
+  /**
+   * Add a vertex, line point or angle point at a world position
+   * @returns {boolean} - Whether a point was added
+   */
+  addPointAt(pos) {
+    if (this.mode === 'angle') {
+      // Angle mode - vertex first, then one endpoint per ray
+      if (this.draggingAnglePoint || this.getClosestAnglePoint(pos)) return false;
+
+      this.beginEdit();
+      this.anglePoints.push({ x: pos.x, y: pos.y });
+      this.emit('vertex-added', { mode: this.mode, point: pos });
+      if (this.anglePoints.length === 3) {
+        this.completedAngles.push([...this.anglePoints]);
+        this.anglePoints = [];
+        this.emit('shape-completed', { mode: this.mode });
+      }
+      this.commitEdit('Add angle point');
+
+      this.validate();
+      this.draw();
+      return true;
+    } else if (this.mode === 'line') {
+      // Pressing an existing endpoint drags it instead
+      if (this.draggingLinePoint || this.getClosestLinePoint(pos)) return false;
+
+      // Line drawing mode - add point (max 2 points)
+      if (this.linePoints.length < 2) {
+        this.beginEdit();
+        this.linePoints.push({ x: pos.x, y: pos.y });
+        this.emit('vertex-added', { mode: this.mode, point: pos });
+        
+        // If we have 2 points, save this line and start a new one
+        if (this.linePoints.length === 2) {
+          this.completedLines.push([...this.linePoints]);
+          this.linePoints = [];
+          this.emit('line-completed', {
+            line: this.completedLines[this.completedLines.length - 1],
+            index: this.completedLines.length - 1
+          });
+        }
+        this.commitEdit(this.linePoints.length === 0 ? 'Add line' : 'Add line point');
+        
+        this.validate();
+        this.draw();
+        return true;
+      }
+      return false;
+    } else {
+      // Polygon mode
+      // Check if clicking on existing vertex (select for deletion)
+      const closestIdx = this.getClosestVertex(pos);
+      if (closestIdx !== null) {
+        // Clicking existing vertex - do nothing for now
+        return false;
+      }
+
+      // Add new vertex with limit checking
+      const maxVertices = this.gameRef ? this.gameRef.getResourceUsage().verticesMax : 12;
+      
+      if (this.vertices.length >= maxVertices) {
+        this.limitWarning = `Max vertices (${maxVertices}) reached!`;
+        this.draw();
+        setTimeout(() => {
+          this.limitWarning = '';
+          this.draw();
+        }, 2000);
+        return false;
+      }
+
+      this.beginEdit();
+      this.vertices.push({ x: pos.x, y: pos.y });
+      this.emit('vertex-added', { mode: this.mode, point: pos });
+      this.commitEdit('Add vertex');
+      this.validate();
+      this.limitWarning = '';
+      this.draw();
+      return true;
+    }
+  }
+
+  /**
+   * Handle right click or long press - remove last or closest vertex/point
+   * @returns {boolean} - True if anything was removed
+   */
+  handleRemove(e) {
+    // Without an event (keyboard), remove at the keyboard cursor
+    const pos = e ? this.getPointerPos(e) : this.keyboardCursor;
+    let label = 'Remove vertex';
+    let removed = true;
+    this.beginEdit();
+
+    if (this.mode === 'line') {
+      // Remove the line under the cursor, or the last line point, or the last finished line
+      const lineIdx = this.getLineAt(pos);
+      label = 'Remove line point';
+      if (lineIdx !== null) {
+        this.completedLines.splice(lineIdx, 1);
+        label = 'Remove line';
+      } else if (this.linePoints.length > 0) {
+        this.linePoints.pop();
+      } else if (this.completedLines.length > 0) {
+        this.completedLines.pop();
+        label = 'Remove line';
+      } else {
+        removed = false;
+      }
+    } else if (this.mode === 'angle') {
+      // Remove the in-progress point, or the angle under the cursor, or the last angle
+      const hit = this.getClosestAnglePoint(pos);
+      label = 'Remove angle';
+      if (this.anglePoints.length > 0) {
+        this.anglePoints.pop();
+      } else if (hit && hit.angle !== null) {
+        this.completedAngles.splice(hit.angle, 1);
+      } else if (this.completedAngles.length > 0) {
+        this.completedAngles.pop();
+      } else {
+        removed = false;
+      }
+    } else if (this.mode === 'freehand') {
+      label = 'Remove freehand shape';
+      removed = this.recognized !== null;
+      this.recognized = null;
+    } else if (this.mode === 'circle') {
+      // Remove the circle under the cursor, or the last one drawn
+      const circleIdx = this.getCircleAt(pos);
+      label = 'Remove circle';
+      if (circleIdx !== null) {
+        this.circles.splice(circleIdx, 1);
+      } else if (this.circles.length > 0) {
+        this.circles.pop();
+      } else {
+        removed = false;
+      }
+    } else {
+      // Polygon mode
+      const closestIdx = this.getClosestVertex(pos);
+
+      if (closestIdx !== null) {
+        // Remove closest vertex
+        this.vertices.splice(closestIdx, 1);
+      } else if (this.vertices.length > 0) {
+        // Remove last vertex
+        this.vertices.pop();
+      } else {
+        removed = false;
+      }
+    }
+
+    this.emit('vertex-removed', { mode: this.mode });
+    this.commitEdit(label);
+    this.validate();
+    this.draw();
+    return removed;
+  }
+
+  /**
+   * Handle pointer press - start dragging vertex
+   */
+  handlePress(e) {
+    const pos = this.getPointerPos(e);
+
+    if (this.tool === 'select') {
+      if (e.button === 0) this.handleSelectPress(pos);
+      return;
+    }
+
+    if (this.mode === 'freehand') {
+      if (e.button === 0) {
+        this.beginEdit();
+        this.stroke = [pos];
+      }
+      return;
+    }
+
+    if (this.mode === 'circle') {
+      // Only start a circle on the primary button
+      if (e.button === 0) {
+        const center = this.isSnapping(e) ? this.snapPoint(pos) : pos;
+        this.beginEdit();
+        this.circleDraft = { center: { x: center.x, y: center.y }, radius: 0 };
+      }
+      return;
+    }
+
+    if (this.mode === 'angle') {
+      if (e.button === 0) {
+        this.draggingAnglePoint = this.getClosestAnglePoint(pos);
+        if (this.draggingAnglePoint) this.beginEdit();
+      }
+      return;
+    }
+
+    if (this.mode === 'line') {
+      if (e.button === 0) {
+        this.draggingLinePoint = this.getClosestLinePoint(pos);
+        if (this.draggingLinePoint) this.beginEdit();
+      }
+      return;
+    }
+
+    const closestIdx = this.getClosestVertex(pos);
+
+    if (closestIdx !== null && e.button === 0) {
+      this.draggingVertex = closestIdx;
+      this.beginEdit();
+    }
+  }
+
+  /**
+   * Handle pointer move - drag vertex or show snap indicator
+   */
+  handleMove(e) {
+    const rawPos = this.getPointerPos(e);
+
+    if (this.tool === 'select') {
+      this.handleSelectMove(rawPos, e);
+      return;
+    }
+
+    const snapping = this.isSnapping(e);
+    const hadIndicator = this.snapIndicator !== null;
+    this.snapIndicator = null;
+
+    if (this.stroke) {
+      // Skip points closer than a couple of screen pixels
+      const lastPoint = this.stroke[this.stroke.length - 1];
+      if (distance(lastPoint, rawPos) * this.view.scale >= 2) {
+        this.stroke.push(rawPos);
+        this.draw();
+      }
+    } else if (this.circleDraft) {
+      this.circleDraft.radius = distance(this.circleDraft.center, rawPos);
+      this.draw();
+    } else if (this.mode === 'angle') {
+      if (this.draggingAnglePoint) {
+        const { angle, point } = this.draggingAnglePoint;
+        const points = angle === null ? this.anglePoints : this.completedAngles[angle];
+        const pos = snapping ? this.snapPoint(rawPos, this.getAngleSnapContext(points, point)) : rawPos;
+        points[point] = { x: pos.x, y: pos.y };
+        this.hoverPos = pos;
+        this.emit('vertex-moved', { mode: this.mode });
+      } else {
+        // Preview where a tap would land
+        this.hoverPos = snapping ? this.snapPoint(rawPos, this.getAddSnapContext()) : rawPos;
+      }
+      this.canvas.style.cursor = this.draggingAnglePoint || this.getClosestAnglePoint(rawPos) ? 'grab' : 'crosshair';
+      this.draw();
+    } else if (this.draggingLinePoint) {
+      const { line, point } = this.draggingLinePoint;
+      const points = line === null ? this.linePoints : this.completedLines[line];
+      // Snap relative to the line's other end
+      const ctx = points.length === 2 ? { anchor: points[1 - point], reference: null } : {};
+      const pos = snapping ? this.snapPoint(rawPos, ctx) : rawPos;
+      points[point] = { x: pos.x, y: pos.y };
+      this.canvas.style.cursor = 'grabbing';
+      this.emit('vertex-moved', { mode: this.mode });
+      this.scheduleValidate();
+    } else if (this.draggingVertex !== null) {
+      const pos = snapping ? this.snapPoint(rawPos, this.getVertexSnapContext(this.draggingVertex)) : rawPos;
+      this.vertices[this.draggingVertex] = { x: pos.x, y: pos.y };
+      this.emit('vertex-moved', { mode: this.mode });
+      this.scheduleValidate();
+    } else {
+      // Update cursor
+      const overPoint = this.mode === 'line'
+        ? this.getClosestLinePoint(rawPos) !== null
+        : this.getClosestVertex(rawPos) !== null;
+      this.canvas.style.cursor = overPoint ? 'grab' : 'crosshair';
+
+      // Preview where a tap would land
+      if (snapping && this.mode !== 'circle') {
+        this.snapPoint(rawPos, this.getAddSnapContext());
+      }
+      if (snapping || hadIndicator) {
+        this.draw();
+      }
+    }
+  }
+
+  /**
+   * Switch between drawing and selecting whole shapes
+   * @param {string} tool - 'draw' or 'select'
+   */
+  setTool(tool) {
+    this.tool = tool;
+    this.selection = null;
+    this.transformDrag = null;
+    this.canvas.style.cursor = tool === 'select' ? 'default' : 'crosshair';
+    this.emit('selection-changed', { selection: null });
+    this.draw();
+  }
+
+  /**
+   * Select a whole shape (for transforms) without going through the pointer
+   */
+  selectShape(selection) {
+    this.tool = 'select';
+    this.selection = selection;
+    this.emit('selection-changed', { selection });
+    this.draw();
+  }
+
+  /**
+   * Points of the selected shape (the live array, so transforms write through)
+   * @returns {Array|null}
+   */
+  getSelectionPoints() {
+    if (!this.selection) return null;
+    if (this.selection.kind === 'line') {
+      return this.completedLines[this.selection.index] || null;
+    }
+    return this.vertices.length > 0 ? this.vertices : null;
+  }
+
+  setSelectionPoints(points) {
+    if (this.selection.kind === 'line') {
+      this.completedLines[this.selection.index] = points;
+    } else {
+      this.vertices = points;
+    }
+  }
+
+  /**
+   * Shape under the pointer in the current mode (polygon body/edges or a line)
+   * @returns {Object|null} - Selection for this.selection
+   */
+  hitTestShape(pos) {
+    const reach = this.getSnapRadius();
+
+    if (this.mode === 'line') {
+      for (let i = this.completedLines.length - 1; i >= 0; i--) {
+        const [p1, p2] = this.completedLines[i];
+        if (pointToSegmentDistance(pos, p1, p2) <= reach) {
+          return { kind: 'line', index: i };
+        }
+      }
+      return null;
+    }
+
+    if (this.mode === 'polygon' && this.vertices.length >= 2) {
+      const count = this.vertices.length;
+      const nearEdge = this.vertices.some((v, i) =>
+        pointToSegmentDistance(pos, v, this.vertices[(i + 1) % count]) <= reach);
+      if (nearEdge || (count >= 3 && pointInPolygon(pos, this.vertices))) {
+        return { kind: 'polygon' };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Bounding box, pivot (centroid) and handle positions of the selection
+   * @returns {Object|null} - {minX, minY, maxX, maxY, pivot, corners, rotateHandle}
+   */
+  getTransformFrame() {
+    const points = this.getSelectionPoints();
+    if (!points) return null;
+
+    const pad = 10 / this.view.scale;
+    const minX = Math.min(...points.map(p => p.x)) - pad;
+    const maxX = Math.max(...points.map(p => p.x)) + pad;
+    const minY = Math.min(...points.map(p => p.y)) - pad;
+    const maxY = Math.max(...points.map(p => p.y)) + pad;
+
+    return {
+      minX,
+      minY,
+      maxX,
+      maxY,
+      pivot: {
+        x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+        y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+      },
+      corners: [
+        { x: minX, y: minY },
+        { x: maxX, y: minY },
+        { x: maxX, y: maxY },
+        { x: minX, y: maxY }
+      ],
+      rotateHandle: { x: (minX + maxX) / 2, y: minY - 30 / this.view.scale }
+    };
+  }
+
+  /**
+   * Which transform handle (if any) is under the pointer
+   * @returns {string|null} - 'rotate', 'scale' or null
+   */
+  hitTestHandle(pos) {
+    const frame = this.getTransformFrame();
+    if (!frame) return null;
+
+    const reach = this.getSnapRadius();
+    if (distance(pos, frame.rotateHandle) <= reach) return 'rotate';
+    if (frame.corners.some(corner => distance(pos, corner) <= reach)) return 'scale';
+    return null;
+  }
+
+  handleSelectPress(pos) {
+    const handle = this.hitTestHandle(pos);
+    let op = handle;
 
-    // Line drawing mode
-    this.mode = 'polygon'; // 'polygon' or 'line'
-    this.linePoints = []; // For line mode: stores current line points being drawn
-    this.completedLines = []; // For line mode: stores finished lines ready to add
+    if (!handle) {
+      this.selection = this.hitTestShape(pos);
+      op = this.selection ? 'move' : null;
+      this.emit('selection-changed', { selection: this.selection });
+    }
 
-    // Configuration
-    this.vertexRadius = options.vertexRadius || 8;
-    this.snapDistance = options.snapDistance || 15;
-    this.minDragDistance = options.minDragDistance || 15;
+    if (op) {
+      const frame = this.getTransformFrame();
+      this.beginEdit();
+      this.transformDrag = {
+        op,
+        start: pos,
+        original: this.getSelectionPoints().map(p => ({ ...p })),
+        pivot: frame.pivot
+      };
+    }
+    this.draw();
+  }
 
-    // Colors
-    this.colors = {
-      background: '#0a0e27',
-      gridLine: '#1a2847',
-      validVertex: '#00ff88',
-      invalidVertex: '#ff0055',
-      validEdge: '#00d4ff',
-      invalidEdge: '#ffaa00',
-      validFill: '#00ff8820',
-      invalidFill: '#ff005520'
-    };
+  handleSelectMove(pos, e) {
+    if (!this.transformDrag) {
+      const handle = this.hitTestHandle(pos);
+      const cursors = { rotate: 'grab', scale: 'nwse-resize' };
+      this.canvas.style.cursor = cursors[handle] || (this.hitTestShape(pos) ? 'move' : 'default');
+      return;
+    }
 
-    this.setupEventListeners();
+    const { op, start, original, pivot } = this.transformDrag;
+    let points;
+
+    if (op === 'move') {
+      const dx = pos.x - start.x;
+      const dy = pos.y - start.y;
+      points = original.map(p => ({ x: p.x + dx, y: p.y + dy }));
+      this.transformReadout = `Move ${dx.toFixed(0)}, ${dy.toFixed(0)}`;
+    } else if (op === 'rotate') {
+      let angle = Math.atan2(pos.y - pivot.y, pos.x - pivot.x) - Math.atan2(start.y - pivot.y, start.x - pivot.x);
+      angle = Math.atan2(Math.sin(angle), Math.cos(angle));
+      if (e.shiftKey) {
+        // Shift rotates in the same steps as angle snapping
+        const step = this.angleSnapStep * Math.PI / 180;
+        angle = Math.round(angle / step) * step;
+      }
+      points = rotatePoints(original, pivot, angle);
+
+      const degrees = angle * 180 / Math.PI;
+      this.transformReadout = `Rotate ${degrees >= 0 ? '+' : ''}${degrees.toFixed(1)}°`;
+      if (this.selection.kind === 'line') {
+        // LineNode's key depends on this angle
+        const [p1, p2] = points;
+        this.transformReadout += ` → line at ${(Math.atan2(p2.y - p1.y, p2.x - p1.x) * 180 / Math.PI).toFixed(1)}°`;
+      }
+    } else {
+      const factor = Math.max(0.1, distance(pos, pivot) / Math.max(distance(start, pivot), 1));
+      points = original.map(p => ({
+        x: pivot.x + (p.x - pivot.x) * factor,
+        y: pivot.y + (p.y - pivot.y) * factor
+      }));
+      this.transformReadout = `Scale ×${factor.toFixed(2)}`;
+    }
+
+    this.setSelectionPoints(points);
+    this.emit('vertex-moved', { mode: this.mode });
+    this.scheduleValidate();
+  }
+
+  handleSelectRelease() {
+    const labels = { move: 'Move shape', rotate: 'Rotate shape', scale: 'Scale shape' };
+    this.commitEdit(labels[this.transformDrag.op]);
+    this.transformDrag = null;
+    this.transformReadout = '';
+    this.validate();
     this.draw();
   }
 
-  setupEventListeners() {
-    this.canvas.addEventListener('click', (e) => this.handleClick(e));
-    this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-    this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-    this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
-    this.canvas.addEventListener('contextmenu', (e) => {
-      e.preventDefault();
-      this.handleRightClick(e);
-    });
+  /**
+   * Mirror the selected shape across its own center
+   * @param {string} axis - 'horizontal' (flip left-right) or 'vertical' (flip top-bottom)
+   */
+  mirrorSelection(axis) {
+    const frame = this.getTransformFrame();
+    if (!frame) return;
+
+    const { pivot } = frame;
+    this.beginEdit();
+    this.setSelectionPoints(this.getSelectionPoints().map(p => (axis === 'horizontal'
+      ? { x: 2 * pivot.x - p.x, y: p.y }
+      : { x: p.x, y: 2 * pivot.y - p.y })));
+    this.emit('vertex-moved', { mode: this.mode });
+    this.commitEdit('Mirror shape');
+    this.validate();
+    this.draw();
   }
 
   /**
-   * Get mouse position relative to canvas
+   * Whether to snap this pointer event: Shift is held and the level allows a snap
    */
-  getMousePos(e) {
-    const rect = this.canvas.getBoundingClientRect();
-    
-    // Calculate the scale ratio between displayed size and actual canvas size
-    const scaleX = this.canvas.width / rect.width;
-    const scaleY = this.canvas.height / rect.height;
-    
-    return {
-      x: (e.clientX - rect.left) * scaleX,
-      y: (e.clientY - rect.top) * scaleY
-    };
+  isSnapping(e) {
+    if (!e || !e.shiftKey) return false;
+    return Object.values(this.getAllowedSnaps()).some(Boolean);
   }
 
   /**
-   * Find closest vertex to mouse position
+   * Snaps the level allows (all of them when the game doesn't say)
+   * @returns {object} - {grid, angle, length}
    */
-  getClosestVertex(pos) {
-    let closest = null;
-    let minDist = this.snapDistance;
+  getAllowedSnaps() {
+    if (this.gameRef && this.gameRef.getSnapping) {
+      return this.gameRef.getSnapping();
+    }
+    return { grid: true, angle: true, length: true };
+  }
 
-    for (let i = 0; i < this.vertices.length; i++) {
-      const dist = distance(pos, this.vertices[i]);
-      if (dist < minDist) {
-        minDist = dist;
-        closest = i;
-      }
+  /**
+   * Snap context for the next point a tap would add
+   * A context has the anchor the new edge starts from and, optionally, a
+   * reference point; angles are measured at the anchor from the reference
+   * and lengths are matched to anchor-reference
+   * @returns {object} - {anchor, reference} (either may be null)
+   */
+  getAddSnapContext() {
+    if (this.mode === 'line') {
+      if (this.linePoints.length === 0) return {};
+
+      const anchor = this.linePoints[0];
+      const previous = this.completedLines[this.completedLines.length - 1];
+      // Carry the previous line over to the anchor so angles compare directions
+      const reference = previous
+        ? { x: anchor.x + previous[1].x - previous[0].x, y: anchor.y + previous[1].y - previous[0].y }
+        : null;
+      return { anchor, reference };
     }
 
-    return closest;
+    if (this.mode === 'angle') {
+      return this.getAngleSnapContext([...this.anglePoints, null], this.anglePoints.length);
+    }
+
+    const count = this.vertices.length;
+    return {
+      anchor: count > 0 ? this.vertices[count - 1] : null,
+      reference: count > 1 ? this.vertices[count - 2] : null
+    };
   }
 
   /**
-   * Handle canvas click - add vertex or line point
+   * Snap context for a polygon vertex being dragged: its previous neighbour
+   * is the anchor and the vertex before that the reference
    */
-  handleClick(e) {
-    if (this.draggingVertex !== null) return; // Don't add while dragging
+  getVertexSnapContext(index) {
+    const count = this.vertices.length;
+    if (count < 2) return {};
 
-    const pos = this.getMousePos(e);
+    const at = offset => this.vertices[(index - offset + count) % count];
+    if (count === 2) return { anchor: at(1), reference: null };
+    return { anchor: at(1), reference: at(2) };
+  }
 
-    if (this.mode === 'line') {
-      // Line drawing mode - add point (max 2 points)
-      if (this.linePoints.length < 2) {
-        this.linePoints.push({ x: pos.x, y: pos.y });
-        
-        // If we have 2 points, save this line and start a new one
-        if (this.linePoints.length === 2) {
-          this.completedLines.push([...this.linePoints]);
-          this.linePoints = [];
-        }
-        
-        this.validate();
-        this.draw();
-      }
-    } else {
-      // Polygon mode
-      // Check if clicking on existing vertex (select for deletion)
-      const closestIdx = this.getClosestVertex(pos);
-      if (closestIdx !== null) {
-        // Clicking existing vertex - do nothing for now
-        return;
+  /**
+   * Snap context for an angle point: rays snap around the vertex, and the
+   * second ray is measured from the first
+   * @param {Array} points - [vertex, ray1, ray2] of the angle
+   * @param {number} index - Which point is being placed
+   */
+  getAngleSnapContext(points, index) {
+    if (index === 0) return {};
+    return { anchor: points[0], reference: index === 2 ? points[1] : null };
+  }
+
+  /**
+   * Snap a position: with an anchor, to 15° steps and the previous edge's
+   * length; without one, to the grid
+   * @param {Object} pos - World position
+   * @param {Object} context - {anchor, reference} from one of the context helpers
+   * @returns {Object} - Snapped position (also shown via snapIndicator)
+   */
+  snapPoint(pos, { anchor = null, reference = null } = {}) {
+    const allowed = this.getAllowedSnaps();
+    const labels = [];
+    let snapped = { x: pos.x, y: pos.y };
+
+    if (anchor && (allowed.angle || allowed.length)) {
+      let angle = Math.atan2(pos.y - anchor.y, pos.x - anchor.x);
+      let length = distance(anchor, pos);
+
+      if (allowed.angle) {
+        const base = reference ? Math.atan2(reference.y - anchor.y, reference.x - anchor.x) : 0;
+        const step = this.angleSnapStep * Math.PI / 180;
+        let relative = angle - base;
+        relative = Math.atan2(Math.sin(relative), Math.cos(relative)); // -180..180
+        relative = Math.round(relative / step) * step;
+        angle = base + relative;
+        labels.push(`∠${Math.abs(Math.round(relative * 180 / Math.PI))}°`);
       }
 
-      // Add new vertex with limit checking
-      const maxVertices = this.gameRef ? this.gameRef.getResourceUsage().verticesMax : 12;
-      
-      if (this.vertices.length >= maxVertices) {
-        this.limitWarning = `Max vertices (${maxVertices}) reached!`;
-        this.draw();
-        setTimeout(() => {
-          this.limitWarning = '';
-          this.draw();
-        }, 2000);
-        return;
+      if (allowed.length && reference) {
+        const referenceLength = distance(anchor, reference);
+        if (Math.abs(length - referenceLength) <= referenceLength * this.lengthSnapTolerance) {
+          length = referenceLength;
+          labels.push(`= ${referenceLength.toFixed(0)}`);
+        }
       }
 
-      this.vertices.push({ x: pos.x, y: pos.y });
-      this.validate();
-      this.limitWarning = '';
-      this.draw();
+      snapped = { x: anchor.x + Math.cos(angle) * length, y: anchor.y + Math.sin(angle) * length };
+    } else if (allowed.grid) {
+      snapped = {
+        x: Math.round(pos.x / this.gridSize) * this.gridSize,
+        y: Math.round(pos.y / this.gridSize) * this.gridSize
+      };
+      labels.push('grid');
     }
+
+    this.snapIndicator = labels.length > 0 ? { point: snapped, anchor, labels } : null;
+    return snapped;
   }
 
   /**
-   * Handle right click - remove last or closest vertex/point
+   * Handle pointer release - stop dragging
    */
-  handleRightClick(e) {
-    const pos = this.getMousePos(e);
+  handleRelease() {
+    this.snapIndicator = null;
 
-    if (this.mode === 'line') {
-      // Remove last line point
-      if (this.linePoints.length > 0) {
-        this.linePoints.pop();
+    if (this.transformDrag) {
+      this.handleSelectRelease();
+    }
+
+    if (this.stroke) {
+      // A new stroke replaces the last one, unless it was too short to read
+      const result = recognizeStroke(this.stroke);
+      if (result) {
+        this.recognized = result;
+        this.emit('shape-completed', { mode: this.mode });
       }
-    } else {
-      // Polygon mode
-      const closestIdx = this.getClosestVertex(pos);
+      this.stroke = null;
+      this.commitEdit('Draw freehand shape');
+      this.validate();
+    }
 
-      if (closestIdx !== null) {
-        // Remove closest vertex
-        this.vertices.splice(closestIdx, 1);
-      } else if (this.vertices.length > 0) {
-        // Remove last vertex
-        this.vertices.pop();
+    if (this.circleDraft) {
+      // Ignore clicks and tiny drags so stray taps don't create circles
+      if (this.circleDraft.radius >= this.minRadius) {
+        this.circles.push(this.circleDraft);
+        this.emit('shape-completed', { mode: this.mode });
       }
+      this.circleDraft = null;
+      this.commitEdit('Draw circle');
+      this.validate();
     }
 
-    this.validate();
+    if (this.draggingAnglePoint) {
+      this.commitEdit('Move angle point');
+      // Swallow the click that follows the drag
+      setTimeout(() => {
+        this.draggingAnglePoint = null;
+      }, 0);
+      this.validate();
+    }
+
+    if (this.draggingLinePoint) {
+      this.commitEdit('Move line endpoint');
+      // Swallow the click that follows the drag
+      setTimeout(() => {
+        this.draggingLinePoint = null;
+      }, 0);
+      this.validate();
+    }
+
+    if (this.draggingVertex !== null) {
+      this.commitEdit('Move vertex');
+    }
+
+    this.draggingVertex = null;
     this.draw();
   }
 
   /**
-   * Handle mouse down - start dragging vertex
+   * Find the line endpoint closest to the position
+   * @returns {Object|null} - {line, point}; line is null for the in-progress line
    */
-  handleMouseDown(e) {
-    const pos = this.getMousePos(e);
-    const closestIdx = this.getClosestVertex(pos);
+  getClosestLinePoint(pos) {
+    let closest = null;
+    let minDist = this.getSnapRadius();
+
+    const check = (points, line) => {
+      points.forEach((p, point) => {
+        const dist = distance(pos, p);
+        if (dist < minDist) {
+          minDist = dist;
+          closest = { line, point };
+        }
+      });
+    };
 
-    if (closestIdx !== null) {
-      this.draggingVertex = closestIdx;
+    this.completedLines.forEach((points, i) => check(points, i));
+    check(this.linePoints, null);
+    return closest;
+  }
+
+  /**
+   * Find the completed line nearest the position (by distance to the segment)
+   * @returns {number|null} - Index into completedLines
+   */
+  getLineAt(pos) {
+    let found = null;
+    let minDist = this.getSnapRadius();
+
+    for (let i = 0; i < this.completedLines.length; i++) {
+      const [p1, p2] = this.completedLines[i];
+      const dist = pointToSegmentDistance(pos, p1, p2);
+      if (dist <= minDist) {
+        minDist = dist;
+        found = i;
+      }
     }
+
+    return found;
   }
 
   /**
-   * Handle mouse move - drag vertex or show snap indicator
+   * Find the angle point (vertex or ray end) closest to the position
+   * @returns {Object|null} - {angle, point}; angle is null for the in-progress angle
    */
-  handleMouseMove(e) {
-    const pos = this.getMousePos(e);
+  getClosestAnglePoint(pos) {
+    let closest = null;
+    let minDist = this.getSnapRadius();
+
+    const check = (points, angle) => {
+      points.forEach((p, point) => {
+        const dist = distance(pos, p);
+        if (dist < minDist) {
+          minDist = dist;
+          closest = { angle, point };
+        }
+      });
+    };
 
-    if (this.draggingVertex !== null) {
-      this.vertices[this.draggingVertex] = { x: pos.x, y: pos.y };
-      this.validate();
-      this.draw();
-    } else {
-      // Update cursor
-      const closestIdx = this.getClosestVertex(pos);
-      this.canvas.style.cursor = closestIdx !== null ? 'grab' : 'crosshair';
-    }
+    this.completedAngles.forEach((points, idx) => check(points, idx));
+    check(this.anglePoints, null);
+
+    return closest;
   }
 
   /**
-   * Handle mouse up - stop dragging
+   * Find the circle whose outline or interior contains the position
+   * @returns {number|null} - Index of the innermost matching circle
    */
-  handleMouseUp(e) {
-    this.draggingVertex = null;
-    this.draw();
+  getCircleAt(pos) {
+    let found = null;
+    let smallest = Infinity;
+
+    for (let i = 0; i < this.circles.length; i++) {
+      const circle = this.circles[i];
+      const dist = distance(pos, circle.center);
+      if (dist <= circle.radius + this.getSnapRadius() && circle.radius < smallest) {
+        smallest = circle.radius;
+        found = i;
+      }
+    }
+
+    return found;
   }
 
   /**
    * Validate polygon or lines
    */
   validate() {
+    this.validatePending = false;
+
     if (this.mode === 'line') {
       // Line mode is valid if we have completed lines OR currently drawing
-      if (this.completedLines.length > 0) {
+      const collapsed = this.completedLines.findIndex(([p1, p2]) => distance(p1, p2) < 1);
+      const hill = this.keyKind === 'hill' && this.completedLines.length === 2
+        ? validateHillKey(this.completedLines.flat(), i => `line ${Math.floor(i / 2) + 1} ${i % 2 ? 'end' : 'start'}`)
+        : null;
+      if (collapsed !== -1) {
+        // Dragging an endpoint onto the other leaves no direction for the key
+        this.isValid = false;
+        this.validationError = `Line ${collapsed + 1} has no length`;
+      } else if (hill && !hill.valid) {
+        this.isValid = false;
+        this.validationError = hill.error;
+      } else if (this.completedLines.length > 0) {
         this.isValid = true;
         this.validationError = '';
       } else if (this.linePoints.length === 2) {
@@ -222,11 +1657,49 @@ class PolygonBuilder {
         this.isValid = false;
         this.validationError = `${this.linePoints.length}/2 points in current line`;
       }
+    } else if (this.mode === 'angle') {
+      this.isValid = this.completedAngles.length > 0;
+      this.validationError = this.isValid
+        ? ''
+        : `${this.anglePoints.length}/3 points (vertex, then one point on each ray)`;
+    } else if (this.mode === 'circle') {
+      this.isValid = this.circles.length > 0;
+      this.validationError = this.isValid ? '' : 'Drag from a center point to draw a circle';
+    } else if (this.mode === 'freehand') {
+      this.validateFreehand();
     } else {
-      const validation = validatePolygon(this.vertices);
+      const validation = validatePolygon(this.vertices, { hill: this.keyKind === 'hill' });
       this.isValid = validation.valid;
       this.validationError = validation.error;
     }
+
+    this.emit('validated', { isValid: this.isValid, error: this.validationError });
+  }
+
+  /**
+   * Freehand shapes pass through the same checks as drawn ones
+   */
+  validateFreehand() {
+    const result = this.recognized;
+    this.isValid = false;
+
+    if (!result) {
+      this.validationError = 'Draw a shape in one stroke';
+    } else if (result.shape === 'polygon') {
+      const maxVertices = this.gameRef ? this.gameRef.getResourceUsage().verticesMax : 12;
+      const validation = validatePolygon(result.vertices, { hill: this.keyKind === 'hill' });
+      if (result.vertices.length > maxVertices) {
+        this.validationError = `Found ${result.vertices.length} corners; max vertices is ${maxVertices}`;
+      } else {
+        this.isValid = validation.valid;
+        this.validationError = validation.error;
+      }
+    } else if (result.shape === 'circle' && result.circle.radius < this.minRadius) {
+      this.validationError = 'Circle too small';
+    } else {
+      this.isValid = true;
+      this.validationError = '';
+    }
   }
 
   /**
@@ -236,9 +1709,21 @@ class PolygonBuilder {
     this.vertices = [];
     this.linePoints = [];
     this.completedLines = [];
+    this.circles = [];
+    this.circleDraft = null;
+    this.anglePoints = [];
+    this.completedAngles = [];
+    this.stroke = null;
+    this.recognized = null;
+    this.draggingAnglePoint = null;
+    this.draggingLinePoint = null;
     this.draggingVertex = null;
+    this.selectedPoint = null;
+    this.selection = null;
+    this.transformDrag = null;
     this.isValid = false;
     this.validationError = '';
+    this.emit('cleared');
     this.draw();
   }
 
@@ -248,6 +1733,50 @@ class PolygonBuilder {
   setMode(mode) {
     this.mode = mode;
     this.clear();
+    this.emit('mode-changed', { mode });
+  }
+
+  /**
+   * Snapshot everything drawn on the canvas as plain data
+   * @returns {object} - State that setState() can restore
+   */
+  getState() {
+    return {
+      mode: this.mode,
+      vertices: this.getVertices(),
+      linePoints: this.getLinePoints(),
+      completedLines: this.getCompletedLines(),
+      circles: this.getCompletedCircles(),
+      anglePoints: [...this.anglePoints],
+      completedAngles: this.getCompletedAngles(),
+      recognized: this.recognized
+    };
+  }
+
+  /**
+   * Restore a snapshot from getState()
+   * @param {object} state - Saved canvas state
+   */
+  setState(state) {
+    this.mode = state.mode || 'polygon';
+    this.vertices = [...(state.vertices || [])];
+    this.linePoints = [...(state.linePoints || [])];
+    this.completedLines = (state.completedLines || []).map(line => [...line]);
+    this.circles = (state.circles || []).map(circle => ({ center: { ...circle.center }, radius: circle.radius }));
+    this.anglePoints = [...(state.anglePoints || [])];
+    this.completedAngles = (state.completedAngles || []).map(points => [...points]);
+    this.recognized = state.recognized || null; // Never mutated, so safe to share
+    this.stroke = null;
+    this.circleDraft = null;
+    this.draggingVertex = null;
+    this.draggingAnglePoint = null;
+    this.draggingLinePoint = null;
+    this.selectedPoint = null;
+    this.selection = null;
+    this.transformDrag = null;
+    this.emit('restored');
+    this.validate();
+    this.draw();
   }
 
   /**
@@ -265,29 +1794,200 @@ class PolygonBuilder {
   }
 
   /**
-   * Get all completed lines (for line mode)
+   * Get all completed lines (for line mode)
+   */
+  getCompletedLines() {
+    return this.completedLines.map(line => [...line]);
+  }
+
+  /**
+   * Get all completed circles (for circle mode)
+   */
+  getCompletedCircles() {
+    return this.circles.map(circle => ({ center: { ...circle.center }, radius: circle.radius }));
+  }
+
+  /**
+   * Get all completed angles (for angle mode) as [vertex, ray1, ray2]
+   */
+  getCompletedAngles() {
+    return this.completedAngles.map(points => points.map(p => ({ ...p })));
+  }
+
+  /**
+   * Build cipher nodes from the current drawing
+   * @returns {CipherNode[]} - Nodes for the active mode (empty if nothing is ready)
+   */
+  createNodes() {
+    switch (this.mode) {
+      case 'line':
+        return this.getCompletedLines().map(([p1, p2]) => new LineNode(p1, p2));
+      case 'circle':
+        return this.getCompletedCircles().map(circle => new CircleNode(circle.center, circle.radius));
+      case 'angle':
+        return this.getCompletedAngles().map(([vertex, ray1, ray2]) => new AngleNode(vertex, ray1, ray2));
+      case 'freehand':
+        return this.isValid ? [this.createRecognizedNode()] : [];
+      default:
+        return this.isValid ? [new PolygonNode(this.getVertices())] : [];
+    }
+  }
+
+  /**
+   * Choose which node kind the drawing will key. Hill keys add an
+   * invertibility check to validation, so the error shows while drawing
+   * @param {string} kind - 'shape' or a createKeyedNode() kind
+   */
+  setKeyKind(kind) {
+    if (kind === this.keyKind) return;
+    this.keyKind = kind;
+    this.validate();
+    this.draw();
+  }
+
+  /**
+   * Vertices of the valid polygon on the canvas (drawn or recognized freehand)
+   * @returns {Array|null}
+   */
+  getKeyPolygon() {
+    if (!this.isValid) return null;
+    if (this.mode === 'polygon') return this.getVertices().map(v => ({ ...v }));
+    if (this.mode === 'freehand' && this.recognized.shape === 'polygon') {
+      return this.recognized.vertices.map(v => ({ ...v }));
+    }
+    return null;
+  }
+
+  /**
+   * Completed lines on the canvas (drawn, or a recognized freehand line)
+   * @returns {Array|null} - [p1, p2] pairs
+   */
+  getKeyLines() {
+    if (!this.isValid) return null;
+    if (this.mode === 'line' && this.completedLines.length > 0) {
+      return this.completedLines.map(line => line.map(p => ({ ...p })));
+    }
+    if (this.mode === 'freehand' && this.recognized.shape === 'line') {
+      return [this.recognized.line.map(p => ({ ...p }))];
+    }
+    return null;
+  }
+
+  /**
+   * Build a node keyed by the drawing rather than the shape's own node
+   * @param {string} kind - 'vigenere' (a polygon's sides or lines),
+   *   'columnar' (a polygon's vertices), 'railfence' (two or more lines),
+   *   'hill' (a quadrilateral, hexagon or two lines), 'substitution'
+   *   (a polygon or lines, shuffling the alphabet) or 'rotor' (three lines
+   *   setting the rotors' start positions)
+   * @param {object} options - {rotorSettings} for 'rotor' (see validateRotorSettings)
+   * @returns {CipherNode|null} - Null if the drawing cannot key this kind
+   */
+  createKeyedNode(kind, options = {}) {
+    const polygon = this.getKeyPolygon();
+    const lines = this.getKeyLines();
+
+    switch (kind) {
+      case 'vigenere':
+        if (polygon) {
+          return new VigenereNode(polygon.map((v, i) => [v, polygon[(i + 1) % polygon.length]]), 'polygon');
+        }
+        return lines ? new VigenereNode(lines, 'lines') : null;
+      case 'columnar':
+        return polygon ? new ColumnarNode(polygon) : null;
+      case 'railfence':
+        return lines && lines.length >= 2 ? new RailFenceNode(lines) : null;
+      case 'hill': {
+        // No node without 4 or 6 points and an invertible key
+        let node = null;
+        if (polygon) {
+          node = new HillNode(polygon, 'polygon');
+        } else if (lines && lines.length === 2) {
+          node = new HillNode(lines.flat(), 'lines');
+        }
+        return node && node.size > 1 && node.inverse ? node : null;
+      }
+      case 'substitution':
+        if (polygon) return new SubstitutionNode('', polygon, 'polygon');
+        return lines ? new SubstitutionNode('', lines.flat(), 'lines') : null;
+      case 'rotor':
+        return lines && lines.length === 3 && options.rotorSettings
+          ? new RotorNode(lines, options.rotorSettings)
+          : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Build the cipher node for the recognized freehand shape
+   */
+  createRecognizedNode() {
+    const result = this.recognized;
+    if (result.shape === 'line') {
+      return new LineNode({ ...result.line[0] }, { ...result.line[1] });
+    }
+    if (result.shape === 'circle') {
+      return new CircleNode({ ...result.circle.center }, result.circle.radius);
+    }
+    return new PolygonNode(result.vertices.map(v => ({ ...v })));
+  }
+
+  /**
+   * Request a repaint. Any number of calls before the next animation
+   * frame are batched into a single repaint
+   */
+  draw() {
+    this.dirty = true;
+    if (this.frameRequested) return;
+
+    this.frameRequested = true;
+    requestAnimationFrame(() => {
+      this.frameRequested = false;
+      if (this.validatePending) this.validate();
+      this.renderFrame();
+    });
+  }
+
+  /**
+   * Validate on the next animation frame instead of right away. Drags and
+   * nudges use this so validation (and every 'validated' listener) runs at
+   * most once per frame; releases still call validate() directly
    */
-  getCompletedLines() {
-    return this.completedLines.map(line => [...line]);
+  scheduleValidate() {
+    this.validatePending = true;
+    this.draw();
   }
 
   /**
-   * Draw the canvas
+   * Repaint the canvas if anything changed since the last frame
    */
-  draw() {
-    const w = this.canvas.width;
-    const h = this.canvas.height;
+  renderFrame() {
+    if (!this.dirty) return;
+    this.dirty = false;
+
+    const w = this.width;
+    const h = this.height;
+    const ratio = this.pixelRatio;
 
-    // Clear canvas
-    this.ctx.fillStyle = this.colors.background;
-    this.ctx.fillRect(0, 0, w, h);
+    // Background and grid come from the cached layer
+    this.updateGridLayer();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.drawImage(this.gridLayer, 0, 0);
 
-    // Draw grid
-    this.drawGrid();
+    // Geometry is drawn in world coordinates through the view transform
+    const { scale, x, y } = this.view;
+    this.ctx.setTransform(ratio * scale, 0, 0, ratio * scale, ratio * x, ratio * y);
 
     if (this.mode === 'line') {
       // Draw line mode elements
       this.drawLine();
+    } else if (this.mode === 'circle') {
+      this.drawCircles();
+    } else if (this.mode === 'angle') {
+      this.drawAngles();
+    } else if (this.mode === 'freehand') {
+      this.drawFreehand();
     } else {
       // Draw polygon if valid
       if (this.vertices.length >= 2) {
@@ -303,6 +2003,27 @@ class PolygonBuilder {
       this.drawVertices();
     }
 
+    if (this.showMeasurements) {
+      this.drawMeasurements();
+    }
+    if (this.showGuides) {
+      this.drawGuides();
+    }
+
+    if (this.snapIndicator) {
+      this.drawSnapIndicator();
+    }
+    if (this.tool === 'select') {
+      this.drawSelection();
+    }
+
+    if (this.hasFocus) {
+      this.drawKeyboardFocus();
+    }
+
+    // Border and labels stay fixed on screen
+    this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
     // Draw border
     this.ctx.strokeStyle = this.isValid ? '#00ff88' : '#ff0055';
     this.ctx.lineWidth = 2;
@@ -313,9 +2034,26 @@ class PolygonBuilder {
     this.ctx.font = 'bold 12px monospace';
     this.ctx.textAlign = 'left';
     this.ctx.textBaseline = 'top';
-    const modeText = this.mode === 'line' ? `📏 LINE (${this.linePoints.length}/2)` : `🔷 POLYGON (${this.vertices.length})`;
+    let modeText = `🔷 POLYGON (${this.vertices.length})`;
+    if (this.mode === 'line') {
+      modeText = `📏 LINE (${this.linePoints.length}/2)`;
+    } else if (this.mode === 'circle') {
+      modeText = `⭕ CIRCLE (${this.circles.length})`;
+    } else if (this.mode === 'angle') {
+      modeText = `📐 ANGLE (${this.anglePoints.length}/3)`;
+    } else if (this.mode === 'freehand') {
+      modeText = this.recognized
+        ? `✍️ FREEHAND: ${this.recognized.label} ${Math.round(this.recognized.confidence * 100)}%`
+        : '✍️ FREEHAND';
+    }
     this.ctx.fillText(modeText, 8, 8);
 
+    if (!this.isViewReset()) {
+      this.ctx.fillStyle = '#00d4ff';
+      this.ctx.textAlign = 'right';
+      this.ctx.fillText(`🔍 ${Math.round(this.view.scale * 100)}%`, w - 8, h - 20);
+    }
+
     // Draw limit warning if active
     if (this.limitWarning) {
       this.ctx.fillStyle = 'rgba(255, 0, 85, 0.9)';
@@ -336,7 +2074,7 @@ class PolygonBuilder {
     this.ctx.lineJoin = 'round';
 
     // Draw all completed lines in a lighter color
-    for (const line of this.completedLines) {
+    this.completedLines.forEach((line, lineIdx) => {
       this.ctx.globalAlpha = 0.6;
       this.ctx.strokeStyle = this.colors.validEdge;
       this.ctx.beginPath();
@@ -344,15 +2082,17 @@ class PolygonBuilder {
       this.ctx.lineTo(line[1].x, line[1].y);
       this.ctx.stroke();
 
-      // Draw endpoints for completed lines
-      for (const point of line) {
-        this.ctx.globalAlpha = 0.6;
-        this.ctx.fillStyle = this.colors.validVertex;
+      // Draw endpoints for completed lines (the dragged one highlighted)
+      line.forEach((point, pointIdx) => {
+        const dragged = this.draggingLinePoint &&
+          this.draggingLinePoint.line === lineIdx && this.draggingLinePoint.point === pointIdx;
+        this.ctx.globalAlpha = dragged ? 1.0 : 0.6;
+        this.ctx.fillStyle = dragged ? '#ffff00' : this.colors.validVertex;
         this.ctx.beginPath();
         this.ctx.arc(point.x, point.y, this.vertexRadius - 2, 0, Math.PI * 2);
         this.ctx.fill();
-      }
-    }
+      });
+    });
 
     this.ctx.globalAlpha = 1.0;
 
@@ -380,26 +2120,465 @@ class PolygonBuilder {
   }
 
   /**
-   * Draw grid background
+   * Draw completed circles and the one being dragged out
+   */
+  drawCircles() {
+    this.ctx.lineWidth = 3;
+
+    const all = this.circleDraft ? [...this.circles, this.circleDraft] : this.circles;
+    for (const circle of all) {
+      const isDraft = circle === this.circleDraft;
+      const tooSmall = circle.radius < this.minRadius;
+
+      this.ctx.strokeStyle = isDraft && tooSmall ? this.colors.invalidEdge : this.colors.validEdge;
+      this.ctx.fillStyle = this.colors.validFill;
+      this.ctx.beginPath();
+      this.ctx.arc(circle.center.x, circle.center.y, circle.radius, 0, Math.PI * 2);
+      this.ctx.fill();
+      this.ctx.stroke();
+
+      // Center point
+      this.ctx.fillStyle = this.colors.validVertex;
+      this.ctx.beginPath();
+      this.ctx.arc(circle.center.x, circle.center.y, this.vertexRadius - 3, 0, Math.PI * 2);
+      this.ctx.fill();
+
+      // Radius guide while dragging
+      if (isDraft) {
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(circle.center.x, circle.center.y);
+        this.ctx.lineTo(circle.center.x + circle.radius, circle.center.y);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        this.ctx.lineWidth = 3;
+
+        this.ctx.font = 'bold 11px monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(`r=${circle.radius.toFixed(0)}`, circle.center.x + circle.radius / 2, circle.center.y - 4);
+      }
+    }
+  }
+
+  /**
+   * Draw the stroke being drawn, or the cleaned-up shape it was recognized as
+   */
+  drawFreehand() {
+    if (this.stroke) {
+      this.ctx.strokeStyle = this.colors.invalidEdge;
+      this.ctx.lineWidth = 2 / this.view.scale;
+      this.ctx.lineCap = 'round';
+      this.ctx.lineJoin = 'round';
+      this.ctx.beginPath();
+      this.stroke.forEach((p, idx) => (idx === 0 ? this.ctx.moveTo(p.x, p.y) : this.ctx.lineTo(p.x, p.y)));
+      this.ctx.stroke();
+      return;
+    }
+
+    const result = this.recognized;
+    if (!result) return;
+
+    const edgeColor = this.isValid ? this.colors.validEdge : this.colors.invalidEdge;
+    this.ctx.strokeStyle = edgeColor;
+    this.ctx.fillStyle = this.isValid ? this.colors.validFill : this.colors.invalidFill;
+    this.ctx.lineWidth = 3;
+    this.ctx.beginPath();
+
+    let labelAt;
+    if (result.shape === 'line') {
+      const [p1, p2] = result.line;
+      this.ctx.moveTo(p1.x, p1.y);
+      this.ctx.lineTo(p2.x, p2.y);
+      this.ctx.stroke();
+      labelAt = { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 + 20 };
+    } else if (result.shape === 'circle') {
+      const { center, radius } = result.circle;
+      this.ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+      this.ctx.fill();
+      this.ctx.stroke();
+      labelAt = center;
+    } else {
+      result.vertices.forEach((v, idx) => (idx === 0 ? this.ctx.moveTo(v.x, v.y) : this.ctx.lineTo(v.x, v.y)));
+      this.ctx.closePath();
+      this.ctx.fill();
+      this.ctx.stroke();
+
+      this.ctx.fillStyle = this.isValid ? this.colors.validVertex : this.colors.invalidVertex;
+      for (const v of result.vertices) {
+        this.ctx.beginPath();
+        this.ctx.arc(v.x, v.y, this.vertexRadius - 3, 0, Math.PI * 2);
+        this.ctx.fill();
+      }
+      labelAt = {
+        x: result.vertices.reduce((sum, v) => sum + v.x, 0) / result.vertices.length,
+        y: result.vertices.reduce((sum, v) => sum + v.y, 0) / result.vertices.length
+      };
+    }
+
+    this.drawLabel(`${result.label} · ${Math.round(result.confidence * 100)}%`, labelAt.x, labelAt.y, edgeColor);
+  }
+
+  /**
+   * Draw completed angles and the one being placed, with live measures
+   */
+  drawAngles() {
+    for (const points of this.completedAngles) {
+      this.drawAngle(points, 0.6);
+    }
+
+    if (this.anglePoints.length > 0) {
+      // Preview the next point at the cursor so the measure updates live
+      const preview = this.hoverPos && !this.draggingAnglePoint
+        ? [...this.anglePoints, this.hoverPos]
+        : [...this.anglePoints];
+      this.drawAngle(preview, 1.0);
+    }
+  }
+
+  /**
+   * Draw a single angle: rays, arc at the vertex and the measure label
+   * @param {Array} points - [vertex, ray1?, ray2?]
+   * @param {number} alpha - Opacity
+   */
+  drawAngle(points, alpha) {
+    const [vertex, ray1, ray2] = points;
+    this.ctx.globalAlpha = alpha;
+    this.ctx.strokeStyle = this.colors.validEdge;
+    this.ctx.lineWidth = 3;
+    this.ctx.lineCap = 'round';
+
+    for (const end of [ray1, ray2]) {
+      if (!end) continue;
+      this.ctx.beginPath();
+      this.ctx.moveTo(vertex.x, vertex.y);
+      this.ctx.lineTo(end.x, end.y);
+      this.ctx.stroke();
+    }
+
+    if (ray1 && ray2) {
+      const a1 = Math.atan2(ray1.y - vertex.y, ray1.x - vertex.x);
+      const a2 = Math.atan2(ray2.y - vertex.y, ray2.x - vertex.x);
+      // Sweep the short way between the rays
+      let sweep = a2 - a1;
+      while (sweep > Math.PI) sweep -= Math.PI * 2;
+      while (sweep < -Math.PI) sweep += Math.PI * 2;
+
+      this.ctx.strokeStyle = this.colors.invalidEdge;
+      this.ctx.lineWidth = 2;
+      this.ctx.beginPath();
+      this.ctx.arc(vertex.x, vertex.y, 25, a1, a1 + sweep, sweep < 0);
+      this.ctx.stroke();
+
+      const mid = a1 + sweep / 2;
+      this.ctx.fillStyle = this.colors.invalidEdge;
+      this.ctx.font = 'bold 12px monospace';
+      this.ctx.textAlign = 'center';
+      this.ctx.textBaseline = 'middle';
+      this.ctx.fillText(
+        `${angleAt(vertex, ray1, ray2).toFixed(1)}°`,
+        vertex.x + Math.cos(mid) * 45,
+        vertex.y + Math.sin(mid) * 45
+      );
+    }
+
+    // Vertex is drawn larger than the ray endpoints
+    points.forEach((p, idx) => {
+      this.ctx.fillStyle = idx === 0 ? this.colors.validVertex : this.colors.validEdge;
+      this.ctx.beginPath();
+      this.ctx.arc(p.x, p.y, idx === 0 ? this.vertexRadius : this.vertexRadius - 3, 0, Math.PI * 2);
+      this.ctx.fill();
+    });
+
+    this.ctx.globalAlpha = 1.0;
+  }
+
+  /**
+   * Turn the target-angle guide rays on or off
+   */
+  setShowGuides(show) {
+    this.showGuides = show;
+    this.draw();
+  }
+
+  /**
+   * Draw a small label with a dark backing so it reads over any shape
+   * Sizes are in screen pixels regardless of zoom
+   */
+  drawLabel(text, x, y, color = this.colors.measure) {
+    const scale = this.view.scale;
+    this.ctx.font = `bold ${11 / scale}px monospace`;
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+
+    const width = this.ctx.measureText(text).width + 6 / scale;
+    const height = 14 / scale;
+    this.ctx.fillStyle = 'rgba(10, 14, 39, 0.8)';
+    this.ctx.fillRect(x - width / 2, y - height / 2, width, height);
+    this.ctx.fillStyle = color;
+    this.ctx.fillText(text, x, y);
+  }
+
+  /**
+   * Label edges with their lengths and corners with their interior angles
+   * (polygon mode), or lines with their angles and the angles between them
+   */
+  drawMeasurements() {
+    const offset = 16 / this.view.scale;
+
+    const recognizedPolygon = this.mode === 'freehand' && this.recognized && this.recognized.shape === 'polygon';
+    if (this.mode === 'polygon' || recognizedPolygon) {
+      const vertices = recognizedPolygon ? this.recognized.vertices : this.vertices;
+      const count = vertices.length;
+      if (count < 2) return;
+
+      // Closing edge only counts once there is a polygon
+      const edges = count >= 3 ? count : 1;
+      for (let i = 0; i < edges; i++) {
+        const p1 = vertices[i];
+        const p2 = vertices[(i + 1) % count];
+        this.drawLabel(distance(p1, p2).toFixed(0), (p1.x + p2.x) / 2, (p1.y + p2.y) / 2);
+      }
+
+      // Interior angles sit just inside each corner, along the bisector
+      const centroid = {
+        x: vertices.reduce((sum, v) => sum + v.x, 0) / count,
+        y: vertices.reduce((sum, v) => sum + v.y, 0) / count
+      };
+      getInteriorAngles(vertices).forEach((angle, i) => {
+        const v = vertices[i];
+        const toCenter = distance(v, centroid) || 1;
+        const x = v.x + ((centroid.x - v.x) / toCenter) * offset * 1.8;
+        const y = v.y + ((centroid.y - v.y) / toCenter) * offset * 1.8;
+        this.drawLabel(`${angle.toFixed(1)}°`, x, y, this.colors.validVertex);
+      });
+    } else if (this.mode === 'line') {
+      const lines = this.completedLines;
+      // Same convention as LineNode (and the analyzer panel), whose key depends on it
+      const directions = lines.map(([p1, p2]) => Math.atan2(p2.y - p1.y, p2.x - p1.x) * 180 / Math.PI);
+
+      lines.forEach(([p1, p2], i) => {
+        this.drawLabel(
+          `L${i + 1} ${directions[i].toFixed(1)}°`,
+          (p1.x + p2.x) / 2,
+          (p1.y + p2.y) / 2 - offset
+        );
+      });
+
+      // Angles between every pair, listed in the corner in screen space
+      const pairs = [];
+      for (let i = 0; i < lines.length; i++) {
+        for (let j = i + 1; j < lines.length; j++) {
+          const diff = mod(directions[i] - directions[j], 180);
+          pairs.push(`L${i + 1}∠L${j + 1} ${Math.min(diff, 180 - diff).toFixed(1)}°`);
+        }
+      }
+      if (pairs.length > 0) {
+        const topLeft = this.toWorld({ x: 0, y: 0 });
+        const lineHeight = 16 / this.view.scale;
+        const right = this.toWorld({ x: this.width - 70, y: 0 }).x;
+        pairs.forEach((text, idx) => {
+          this.drawLabel(text, right, topLeft.y + lineHeight * (idx + 1.5));
+        });
+      }
+    }
+  }
+
+  /**
+   * Dashed rays at the level's target angles from the point being drawn,
+   * measured from the previous edge (or the horizontal if there is none)
+   */
+  drawGuides() {
+    const targets = this.gameRef && this.gameRef.getTargetAngles ? this.gameRef.getTargetAngles() : [];
+    if (targets.length === 0) return;
+
+    let anchor = null;
+    let base = null; // Point the zero-degree direction points at
+
+    if (this.mode === 'polygon' && this.vertices.length > 0) {
+      anchor = this.vertices[this.vertices.length - 1];
+      base = this.vertices.length > 1 ? this.vertices[this.vertices.length - 2] : null;
+    } else if (this.mode === 'angle' && this.anglePoints.length > 0) {
+      [anchor, base = null] = this.anglePoints;
+    } else if (this.mode === 'line' && this.linePoints.length > 0) {
+      anchor = this.linePoints[0];
+      const previous = this.completedLines[this.completedLines.length - 1];
+      // Direction of the previous line, carried over to the new anchor
+      base = previous
+        ? { x: anchor.x + previous[1].x - previous[0].x, y: anchor.y + previous[1].y - previous[0].y }
+        : null;
+    }
+    if (!anchor) return;
+
+    const baseAngle = base ? Math.atan2(base.y - anchor.y, base.x - anchor.x) : 0;
+    const length = Math.max(this.width, this.height) * 2 / this.view.scale;
+
+    this.ctx.save();
+    this.ctx.strokeStyle = this.colors.guide;
+    this.ctx.lineWidth = 1 / this.view.scale;
+    this.ctx.setLineDash([6 / this.view.scale, 4 / this.view.scale]);
+    this.ctx.globalAlpha = 0.7;
+
+    for (const target of targets) {
+      // Both sides of the base direction
+      for (const sign of [1, -1]) {
+        const angle = baseAngle + sign * target * Math.PI / 180;
+        this.ctx.beginPath();
+        this.ctx.moveTo(anchor.x, anchor.y);
+        this.ctx.lineTo(anchor.x + Math.cos(angle) * length, anchor.y + Math.sin(angle) * length);
+        this.ctx.stroke();
+
+        const labelDist = 60 / this.view.scale;
+        this.drawLabel(
+          `${target}°`,
+          anchor.x + Math.cos(angle) * labelDist,
+          anchor.y + Math.sin(angle) * labelDist,
+          this.colors.guide
+        );
+      }
+    }
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw the selected shape's frame, scale corners and rotation handle
+   */
+  drawSelection() {
+    const frame = this.getTransformFrame();
+    if (!frame) return;
+
+    const scale = this.view.scale;
+    const handleSize = 8 / scale;
+    const { minX, minY, maxX, maxY, corners, rotateHandle } = frame;
+
+    this.ctx.save();
+    this.ctx.strokeStyle = '#ffff00';
+    this.ctx.lineWidth = 1 / scale;
+    this.ctx.setLineDash([5 / scale, 4 / scale]);
+    this.ctx.strokeRect(minX, minY, maxX - minX, maxY - minY);
+    this.ctx.setLineDash([]);
+
+    // Rotation handle on a stem above the frame
+    this.ctx.beginPath();
+    this.ctx.moveTo((minX + maxX) / 2, minY);
+    this.ctx.lineTo(rotateHandle.x, rotateHandle.y);
+    this.ctx.stroke();
+    this.ctx.fillStyle = '#ffff00';
+    this.ctx.beginPath();
+    this.ctx.arc(rotateHandle.x, rotateHandle.y, handleSize / 1.5, 0, Math.PI * 2);
+    this.ctx.fill();
+
+    for (const corner of corners) {
+      this.ctx.fillRect(corner.x - handleSize / 2, corner.y - handleSize / 2, handleSize, handleSize);
+    }
+    this.ctx.restore();
+
+    if (this.transformReadout) {
+      this.drawLabel(this.transformReadout, rotateHandle.x, rotateHandle.y - 18 / scale, '#ffff00');
+    }
+  }
+
+  /**
+   * Show which snap is active: a ring on the snapped point, a guide from
+   * its anchor, and labels such as "∠90°", "= 120" or "grid"
    */
-  drawGrid() {
-    const gridSize = 30;
-    this.ctx.strokeStyle = this.colors.gridLine;
-    this.ctx.lineWidth = 1;
+  drawSnapIndicator() {
+    const { point, anchor, labels } = this.snapIndicator;
+    const scale = this.view.scale;
 
-    for (let x = 0; x < this.canvas.width; x += gridSize) {
+    this.ctx.save();
+    this.ctx.strokeStyle = this.colors.guide;
+    this.ctx.lineWidth = 2 / scale;
+
+    if (anchor) {
+      this.ctx.setLineDash([4 / scale, 4 / scale]);
       this.ctx.beginPath();
-      this.ctx.moveTo(x, 0);
-      this.ctx.lineTo(x, this.canvas.height);
+      this.ctx.moveTo(anchor.x, anchor.y);
+      this.ctx.lineTo(point.x, point.y);
       this.ctx.stroke();
+      this.ctx.setLineDash([]);
     }
 
-    for (let y = 0; y < this.canvas.height; y += gridSize) {
+    this.ctx.beginPath();
+    this.ctx.arc(point.x, point.y, this.vertexRadius + 3 / scale, 0, Math.PI * 2);
+    this.ctx.stroke();
+    this.ctx.restore();
+
+    this.drawLabel(labels.join(' · '), point.x, point.y - 22 / scale, this.colors.guide);
+  }
+
+  /**
+   * Draw the keyboard cursor and a ring around the selected point
+   */
+  drawKeyboardFocus() {
+    const size = 10 / this.view.scale;
+    this.ctx.strokeStyle = '#ffff00';
+    this.ctx.lineWidth = 2 / this.view.scale;
+
+    const ref = this.getSelectedRef();
+    if (ref) {
+      const pos = ref.points[ref.index];
       this.ctx.beginPath();
-      this.ctx.moveTo(0, y);
-      this.ctx.lineTo(this.canvas.width, y);
+      this.ctx.arc(pos.x, pos.y, this.vertexRadius + 4 / this.view.scale, 0, Math.PI * 2);
       this.ctx.stroke();
+      return;
+    }
+
+    const { x, y } = this.keyboardCursor;
+    this.ctx.beginPath();
+    this.ctx.moveTo(x - size, y);
+    this.ctx.lineTo(x + size, y);
+    this.ctx.moveTo(x, y - size);
+    this.ctx.lineTo(x, y + size);
+    this.ctx.stroke();
+  }
+
+  /**
+   * Redraw the cached background and grid layer when the view has changed
+   */
+  updateGridLayer() {
+    const { scale, x, y } = this.view;
+    const key = `${scale},${x},${y},${this.pixelRatio}`;
+    if (key === this.gridLayerKey) return;
+    this.gridLayerKey = key;
+
+    const ctx = this.gridLayer.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = this.colors.background;
+    ctx.fillRect(0, 0, this.gridLayer.width, this.gridLayer.height);
+
+    const ratio = this.pixelRatio;
+    ctx.setTransform(ratio * scale, 0, 0, ratio * scale, ratio * x, ratio * y);
+    this.drawGrid(ctx);
+  }
+
+  /**
+   * Draw the grid over the visible part of the world (as one path)
+   * @param {CanvasRenderingContext2D} ctx - Context with the view transform applied
+   */
+  drawGrid(ctx) {
+    const gridSize = this.gridSize;
+    ctx.strokeStyle = this.colors.gridLine;
+    ctx.lineWidth = 1 / this.view.scale;
+
+    // Only the part of the world that is on screen
+    const topLeft = this.toWorld({ x: 0, y: 0 });
+    const bottomRight = this.toWorld({ x: this.width, y: this.height });
+    const startX = Math.floor(topLeft.x / gridSize) * gridSize;
+    const startY = Math.floor(topLeft.y / gridSize) * gridSize;
+
+    ctx.beginPath();
+    for (let x = startX; x < bottomRight.x; x += gridSize) {
+      ctx.moveTo(x, topLeft.y);
+      ctx.lineTo(x, bottomRight.y);
+    }
+    for (let y = startY; y < bottomRight.y; y += gridSize) {
+      ctx.moveTo(topLeft.x, y);
+      ctx.lineTo(bottomRight.x, y);
     }
+    ctx.stroke();
   }
 
   /**
@@ -487,30 +2666,55 @@ class PolygonBuilder {
 class PolygonAnalyzer {
   constructor(containerId) {
     this.container = document.getElementById(containerId);
+    this.lastHtml = null; // Skip rewrites that would change nothing (keeps hover/focus)
+  }
+
+  /**
+   * Re-display whenever the builder changes
+   * @param {PolygonBuilder} builder - Builder to follow
+   */
+  attach(builder) {
+    const refresh = () => this.display(builder);
+    ['validated', 'cleared', 'mode-changed'].forEach(type => builder.on(type, refresh));
+    refresh();
+  }
+
+  /**
+   * Write the panel, unless it would not change
+   */
+  render(html) {
+    if (html === this.lastHtml) return;
+    this.lastHtml = html;
+    this.container.innerHTML = html;
   }
 
   display(builder) {
     if (!builder) {
-      this.container.innerHTML = '';
+      this.render('');
       return;
     }
 
     // Handle line mode
     if (builder.mode === 'line') {
       if (!builder.isValid) {
-        this.container.innerHTML = `<div class="line-status">📏 ${builder.validationError}</div>`;
+        this.render(`<div class="line-status">📏 ${builder.validationError}</div>`);
         return;
       }
 
-      const completedCount = builder.completedLines.length;
       let html = `
         <div class="line-analysis">
           <h4>Lines</h4>
+      `;
+      builder.completedLines.forEach(([p1, p2], idx) => {
+        const length = distance(p1, p2).toFixed(1);
+        const angle = (Math.atan2(p2.y - p1.y, p2.x - p1.x) * (180 / Math.PI)).toFixed(1);
+        html += `
           <div class="property-row">
-            <span class="label">Completed:</span>
-            <span class="value">${completedCount}</span>
+            <span class="label">Line ${idx + 1}:</span>
+            <span class="value">${angle}°, len ${length}</span>
           </div>
-      `;
+        `;
+      });
 
       // Show current line being drawn if any
       if (builder.linePoints.length === 2) {
@@ -542,13 +2746,117 @@ class PolygonAnalyzer {
           </div>
         </div>
       `;
-      this.container.innerHTML = html;
+      this.render(html);
+      return;
+    }
+
+    // Handle angle mode
+    if (builder.mode === 'angle') {
+      if (!builder.isValid) {
+        this.render(`<div class="line-status">📐 ${builder.validationError}</div>`);
+        return;
+      }
+
+      let html = `
+        <div class="line-analysis">
+          <h4>Angles</h4>
+      `;
+      builder.completedAngles.forEach(([vertex, ray1, ray2], idx) => {
+        html += `
+          <div class="property-row">
+            <span class="label">Angle ${idx + 1}:</span>
+            <span class="value">${angleAt(vertex, ray1, ray2).toFixed(1)}°</span>
+          </div>
+        `;
+      });
+      html += `
+          <div class="property-row">
+            <span class="label">Status:</span>
+            <span class="value">✓ Ready to add</span>
+          </div>
+        </div>
+      `;
+      this.render(html);
+      return;
+    }
+
+    // Handle freehand mode
+    if (builder.mode === 'freehand') {
+      const result = builder.recognized;
+      if (!result) {
+        this.render(`<div class="line-status">✍️ ${builder.validationError}</div>`);
+        return;
+      }
+
+      let details = '';
+      if (result.shape === 'polygon') {
+        details = `${result.vertices.length} corners`;
+      } else if (result.shape === 'circle') {
+        details = `r ${result.circle.radius.toFixed(1)}`;
+      } else {
+        const [p1, p2] = result.line;
+        details = `${(Math.atan2(p2.y - p1.y, p2.x - p1.x) * 180 / Math.PI).toFixed(1)}°, len ${distance(p1, p2).toFixed(1)}`;
+      }
+
+      this.render(`
+        <div class="line-analysis">
+          <h4>Freehand</h4>
+          <div class="property-row">
+            <span class="label">Recognized:</span>
+            <span class="value">${result.label}</span>
+          </div>
+          <div class="property-row">
+            <span class="label">Confidence:</span>
+            <span class="value">${Math.round(result.confidence * 100)}%</span>
+          </div>
+          <div class="property-row">
+            <span class="label">Shape:</span>
+            <span class="value">${details}</span>
+          </div>
+          <div class="property-row">
+            <span class="label">Status:</span>
+            <span class="value">${builder.isValid ? '✓ Ready to add' : `✗ ${builder.validationError}`}</span>
+          </div>
+        </div>
+      `);
+      return;
+    }
+
+    // Handle circle mode
+    if (builder.mode === 'circle') {
+      if (!builder.isValid) {
+        this.render(`<div class="line-status">⭕ ${builder.validationError}</div>`);
+        return;
+      }
+
+      let html = `
+        <div class="line-analysis">
+          <h4>Circles</h4>
+      `;
+      builder.circles.forEach((circle, idx) => {
+        html += `
+          <div class="property-row">
+            <span class="label">Circle ${idx + 1}:</span>
+            <span class="value">r ${circle.radius.toFixed(1)} @ (${Math.round(circle.center.x)}, ${Math.round(circle.center.y)})</span>
+          </div>
+        `;
+      });
+      html += `
+          <div class="property-row">
+            <span class="label">Status:</span>
+            <span class="value">✓ Ready to add</span>
+          </div>
+        </div>
+      `;
+      this.render(html);
       return;
     }
 
     // Handle polygon mode
     if (!builder.isValid) {
-      this.container.innerHTML = '';
+      this.render(builder.validationError
+        ? `<div class="polygon-error">⚠ ${builder.validationError}</div>`
+        : '');
       return;
     }
 
@@ -598,7 +2906,41 @@ class PolygonAnalyzer {
       </div>
     `;
 
-    this.container.innerHTML = html;
+    this.render(html);
+  }
+
+  /**
+   * Plain-text version of display() for screen reader announcements
+   */
+  summarize(builder) {
+    if (!builder.isValid) {
+      return builder.validationError ? `${builder.validationError}.` : '';
+    }
+
+    if (builder.mode === 'line') {
+      const lines = builder.completedLines.map(([p1, p2]) =>
+        `${(Math.atan2(p2.y - p1.y, p2.x - p1.x) * 180 / Math.PI).toFixed(1)} degrees, length ${distance(p1, p2).toFixed(0)}`);
+      return `Lines: ${lines.join('; ')}.`;
+    }
+    if (builder.mode === 'freehand') {
+      const result = builder.recognized;
+      return `Recognized ${result.label}, ${Math.round(result.confidence * 100)} percent confidence.`;
+    }
+    if (builder.mode === 'angle') {
+      const measures = builder.completedAngles
+        .map(([vertex, ray1, ray2]) => `${angleAt(vertex, ray1, ray2).toFixed(1)} degrees`);
+      return `Angles: ${measures.join(', ')}.`;
+    }
+    if (builder.mode === 'circle') {
+      const radii = builder.circles.map(circle => circle.radius.toFixed(0));
+      return `Circles with radius ${radii.join(', ')}.`;
+    }
+
+    const analysis = builder.analyze();
+    const avgSide = analysis.sideLengths.reduce((a, b) => a + b, 0) / analysis.sideLengths.length;
+    return `Polygon: ${analysis.vertices} sides, ${analysis.convex ? 'convex' : 'concave'}, ` +
+      `irregularity ${analysis.variance.toFixed(2)}, area ${analysis.area.toFixed(0)}, ` +
+      `average side ${avgSide.toFixed(1)}.`;
   }
 
   getSecurityNote(analysis) {
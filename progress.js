@@ -0,0 +1,242 @@
+/**
+ * progress.js - Saved Progress
+ * Persists completed levels, best attempts and the in-progress pipeline
+ * and canvas in localStorage using a versioned save format
+ */
+
+const SAVE_KEY = 'cipherdash-save';
+const SAVE_VERSION = 3;
+
+/**
+ * Save upgrades: SAVE_MIGRATIONS[n] turns a version n save into version n + 1.
+ * Add an entry here (and bump SAVE_VERSION) whenever the save layout changes
+ */
+const SAVE_MIGRATIONS = {
+  // v2: star ratings and best deviation per level
+  1: save => ({
+    ...save,
+    levels: Object.fromEntries(
+      Object.entries(save.levels).map(([id, record]) => [
+        id,
+        { ...record, stars: record.completed ? 1 : 0, bestDeviation: null }
+      ])
+    )
+  }),
+  // v3: play time per level and the New Game+ cycle
+  2: save => ({
+    ...save,
+    newGamePlus: 0,
+    levels: Object.fromEntries(
+      Object.entries(save.levels).map(([id, record]) => [id, { ...record, timeMs: 0 }])
+    )
+  })
+};
+
+/**
+ * Build a save with no progress
+ * @returns {object} - {version, levels: {[levelId]: record}, current}
+ */
+function createEmptySave() {
+  return {
+    version: SAVE_VERSION,
+    levels: {}, // Per-level records keyed by level id (see validateLevelPack)
+    current: null, // {levelId, pipeline, canvas} for the level being played
+    newGamePlus: 0 // New Game+ cycle (0 = normal campaign)
+  };
+}
+
+/**
+ * Bring a parsed save up to SAVE_VERSION
+ * @param {object} data - Parsed save of any version
+ * @returns {object|null} - Current-version save, or null if it cannot be used
+ */
+function migrateSave(data) {
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+    return null;
+  }
+
+  if (data.version > SAVE_VERSION) {
+    console.warn(`Save version ${data.version} is newer than this game (${SAVE_VERSION})`);
+    return null;
+  }
+
+  let save = data;
+  while (save.version < SAVE_VERSION) {
+    const migrate = SAVE_MIGRATIONS[save.version];
+    if (!migrate) {
+      console.warn(`No migration from save version ${save.version}`);
+      return null;
+    }
+    save = { ...migrate(save), version: save.version + 1 };
+  }
+
+  return save;
+}
+
+/**
+ * ProgressStore - Reads and writes the save in localStorage
+ */
+class ProgressStore {
+  constructor(storage = null) {
+    this.storage = storage || ProgressStore.getDefaultStorage();
+    this.lastWritten = null; // Last JSON written, to skip redundant writes
+    this.data = this.load();
+  }
+
+  /**
+   * localStorage, or null when the browser blocks it (e.g. private mode)
+   */
+  static getDefaultStorage() {
+    try {
+      return window.localStorage;
+    } catch (err) {
+      console.warn('Progress will not be saved: localStorage unavailable', err);
+      return null;
+    }
+  }
+
+  /**
+   * Load and migrate the stored save, falling back to an empty one
+   */
+  load() {
+    if (!this.storage) return createEmptySave();
+
+    try {
+      const raw = this.storage.getItem(SAVE_KEY);
+      if (!raw) return createEmptySave();
+
+      const save = migrateSave(JSON.parse(raw));
+      if (!save) {
+        console.warn('Discarding unreadable save');
+        return createEmptySave();
+      }
+      return save;
+    } catch (err) {
+      console.warn('Could not read save:', err);
+      return createEmptySave();
+    }
+  }
+
+  /**
+   * Write the save if it changed since the last write
+   */
+  write() {
+    if (!this.storage) return;
+
+    const json = JSON.stringify(this.data);
+    if (json === this.lastWritten) return;
+
+    try {
+      this.storage.setItem(SAVE_KEY, json);
+      this.lastWritten = json;
+    } catch (err) {
+      console.warn('Could not write save:', err);
+    }
+  }
+
+  /**
+   * Get the saved record for a level
+   * @param {string} levelId - Level id
+   * @returns {object} - {completed, attempts, bestScore, stars, bestDeviation, timeMs}
+   */
+  getLevel(levelId) {
+    return this.data.levels[levelId] || {
+      completed: false,
+      attempts: 0,
+      bestScore: null,
+      stars: 0,
+      bestDeviation: null,
+      timeMs: 0
+    };
+  }
+
+  /**
+   * Record a transmission attempt; completion, best score, stars and best
+   * deviation never go backwards
+   * @param {string} levelId - Level id
+   * @param {number} score - Score from evaluateCipher
+   * @param {boolean} passed - Whether the level was passed
+   * @param {object} accuracy - {stars, deviation} from the accuracy grading
+   */
+  recordAttempt(levelId, score, passed, accuracy = { stars: 0, deviation: null }) {
+    const record = { ...this.getLevel(levelId) };
+    record.attempts += 1;
+    record.completed = record.completed || passed;
+    if (passed && (record.bestScore === null || score > record.bestScore)) {
+      record.bestScore = score;
+    }
+    if (passed) {
+      record.stars = Math.max(record.stars, accuracy.stars);
+      if (accuracy.deviation !== null && (record.bestDeviation === null || accuracy.deviation < record.bestDeviation)) {
+        record.bestDeviation = accuracy.deviation;
+      }
+    }
+    this.data.levels[levelId] = record;
+    this.write();
+  }
+
+  /**
+   * Add time spent playing a level
+   * @param {string} levelId - Level id
+   * @param {number} ms - Milliseconds played
+   */
+  addPlayTime(levelId, ms) {
+    if (!(ms > 0)) return;
+    const record = { ...this.getLevel(levelId) };
+    record.timeMs += ms;
+    this.data.levels[levelId] = record;
+    this.write();
+  }
+
+  /**
+   * Forget the records of some levels (used when restarting a campaign)
+   * @param {string[]} levelIds - Level ids
+   */
+  resetLevels(levelIds) {
+    for (const levelId of levelIds) {
+      delete this.data.levels[levelId];
+    }
+    this.write();
+  }
+
+  getNewGamePlus() {
+    return this.data.newGamePlus;
+  }
+
+  setNewGamePlus(cycle) {
+    this.data.newGamePlus = cycle;
+    this.write();
+  }
+
+  isCompleted(levelId) {
+    return this.getLevel(levelId).completed;
+  }
+
+  /**
+   * Save the level being played
+   * @param {object|null} current - {levelId, pipeline, canvas}
+   */
+  setCurrent(current) {
+    this.data.current = current;
+    this.write();
+  }
+
+  getCurrent() {
+    return this.data.current;
+  }
+
+  /**
+   * Whether there is anything worth continuing from
+   */
+  hasProgress() {
+    return this.data.current !== null || Object.keys(this.data.levels).length > 0;
+  }
+
+  /**
+   * Forget all progress
+   */
+  reset() {
+    this.data = createEmptySave();
+    this.write();
+  }
+}
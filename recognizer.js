@@ -0,0 +1,228 @@
+/**
+ * recognizer.js - Freehand Shape Recognition
+ * Turns a rough pointer stroke into a line, circle or cleaned-up polygon,
+ * and grades how closely a polygon matches a regular shape
+ */
+
+/**
+ * Tuning for recognizeStroke (fractions are of the stroke's bounding-box diagonal)
+ */
+const RECOGNIZER_CONFIG = {
+  resampleCount: 64, // Evenly spaced points the stroke is reduced to
+  closeGap: 0.25, // Ends closer than this make a closed shape
+  simplifyTolerance: 0.06, // Polyline simplification distance
+  cornerAngle: 25, // Smaller turns (degrees) are not corners
+  circleSpread: 0.12, // Max radius spread (std / mean) for a circle
+  fitTolerance: 0.06, // Mean stroke-to-shape distance that scores 0% fit
+  regularTolerance: 0.5 // Combined side + angle spread that scores 0% regularity
+};
+
+/**
+ * Resample a stroke to evenly spaced points
+ * @param {Array} points - {x, y} stroke points
+ * @param {number} count - Number of points wanted
+ * @returns {Array} - Resampled {x, y} points
+ */
+function resampleStroke(points, count = RECOGNIZER_CONFIG.resampleCount) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += distance(points[i - 1], points[i]);
+  }
+  if (total === 0) return [points[0]];
+
+  const step = total / (count - 1);
+  const result = [{ ...points[0] }];
+  let carried = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    let prev = points[i - 1];
+    let segment = distance(prev, points[i]);
+
+    while (carried + segment >= step && result.length < count) {
+      const t = (step - carried) / segment;
+      const point = { x: prev.x + (points[i].x - prev.x) * t, y: prev.y + (points[i].y - prev.y) * t };
+      result.push(point);
+      segment -= step - carried;
+      prev = point;
+      carried = 0;
+    }
+    carried += segment;
+  }
+
+  // Rounding can leave us one short
+  if (result.length < count) {
+    result.push({ ...points[points.length - 1] });
+  }
+  return result;
+}
+
+/**
+ * Distance from a point to a line segment
+ */
+function pointToSegmentDistance(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) return distance(p, a);
+
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return distance(p, { x: a.x + dx * t, y: a.y + dy * t });
+}
+
+/**
+ * Simplify a polyline (Ramer-Douglas-Peucker)
+ * @param {Array} points - {x, y} points
+ * @param {number} tolerance - Max distance a dropped point may be from the result
+ * @returns {Array} - Kept points, including both ends
+ */
+function simplifyPolyline(points, tolerance) {
+  if (points.length < 3) return [...points];
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  let maxDist = 0;
+  let index = 0;
+
+  for (let i = 1; i < points.length - 1; i++) {
+    const dist = pointToSegmentDistance(points[i], first, last);
+    if (dist > maxDist) {
+      maxDist = dist;
+      index = i;
+    }
+  }
+
+  if (maxDist <= tolerance) return [first, last];
+
+  const left = simplifyPolyline(points.slice(0, index + 1), tolerance);
+  const right = simplifyPolyline(points.slice(index), tolerance);
+  return [...left.slice(0, -1), ...right];
+}
+
+/**
+ * Keep only real corners of a closed polygon: drop vertices where the
+ * outline turns by less than minTurn degrees
+ * @param {Array} vertices - {x, y} points of a closed outline
+ * @param {number} minTurn - Smallest turn (degrees) that counts as a corner
+ * @returns {Array} - Corner vertices
+ */
+function findCorners(vertices, minTurn = RECOGNIZER_CONFIG.cornerAngle) {
+  let corners = [...vertices];
+  let changed = true;
+
+  // Dropping one vertex changes its neighbours' turns, so repeat until stable
+  while (changed && corners.length > 3) {
+    changed = false;
+    for (let i = 0; i < corners.length; i++) {
+      const prev = corners[(i - 1 + corners.length) % corners.length];
+      const next = corners[(i + 1) % corners.length];
+      const turn = 180 - angleAt(corners[i], prev, next);
+      if (turn < minTurn) {
+        corners.splice(i, 1);
+        changed = true;
+        break;
+      }
+    }
+  }
+
+  return corners;
+}
+
+/**
+ * Grade how regular a polygon is
+ * @param {Array} vertices - {x, y} points in order
+ * @returns {object} - {label, sides, regularity}; regularity is 0-1 (1 = perfectly regular)
+ */
+function classifyPolygon(vertices) {
+  const sides = vertices.length;
+  const lengths = getSideLengths(vertices);
+  const mean = lengths.reduce((a, b) => a + b, 0) / sides;
+  const sideSpread = mean > 0 ? calculateSideVariance(vertices) / mean : 1;
+
+  const ideal = (sides - 2) * 180 / sides;
+  const angleSpread = Math.max(...getInteriorAngles(vertices).map(angle => Math.abs(angle - ideal))) / ideal;
+
+  const regularity = Math.max(0, 1 - (sideSpread + angleSpread) / RECOGNIZER_CONFIG.regularTolerance);
+  const isRegular = regularity >= 0.5;
+
+  let label = `${sides}-gon`;
+  if (sides === 3) {
+    label = isRegular ? 'equilateral triangle' : 'triangle';
+  } else if (sides === 4 && isRegular) {
+    label = 'square';
+  } else if (isRegular) {
+    label = `regular ${sides}-gon`;
+  }
+
+  return { label, sides, regularity };
+}
+
+/**
+ * Recognize a freehand stroke
+ * @param {Array} points - Raw {x, y} stroke points
+ * @returns {object|null} - {shape: 'line'|'circle'|'polygon', label, confidence (0-1),
+ *   and vertices (polygon), line: [p1, p2] or circle: {center, radius}};
+ *   null if the stroke is too short to read
+ */
+function recognizeStroke(points) {
+  if (points.length < 5) return null;
+
+  const config = RECOGNIZER_CONFIG;
+  const stroke = resampleStroke(points);
+  const xs = stroke.map(p => p.x);
+  const ys = stroke.map(p => p.y);
+  const diagonal = Math.hypot(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+  if (diagonal < 10) return null;
+
+  const fitScore = meanDist => Math.max(0, 1 - meanDist / (diagonal * config.fitTolerance));
+  const meanDistanceTo = distanceFn => stroke.reduce((sum, p) => sum + distanceFn(p), 0) / stroke.length;
+
+  const first = stroke[0];
+  const last = stroke[stroke.length - 1];
+  const closed = distance(first, last) < diagonal * config.closeGap;
+
+  if (!closed) {
+    // Open strokes can only be lines
+    const confidence = fitScore(meanDistanceTo(p => pointToSegmentDistance(p, first, last)));
+    return { shape: 'line', label: 'line', confidence, line: [first, last] };
+  }
+
+  // Circle: every point about the same distance from the centroid
+  const center = {
+    x: xs.reduce((a, b) => a + b, 0) / stroke.length,
+    y: ys.reduce((a, b) => a + b, 0) / stroke.length
+  };
+  const radii = stroke.map(p => distance(p, center));
+  const radius = radii.reduce((a, b) => a + b, 0) / radii.length;
+  const radiusSpread = Math.sqrt(radii.reduce((sum, r) => sum + (r - radius) ** 2, 0) / radii.length) / radius;
+
+  // Polygon: simplify the closed outline and keep the corners
+  const outline = simplifyPolyline(stroke, diagonal * config.simplifyTolerance);
+  if (distance(outline[0], outline[outline.length - 1]) < diagonal * config.closeGap) {
+    outline.pop(); // The closing point duplicates the first
+  }
+  const vertices = findCorners(outline);
+
+  const polygonFit = vertices.length >= 3
+    ? fitScore(meanDistanceTo(p => Math.min(...vertices.map((v, i) =>
+      pointToSegmentDistance(p, v, vertices[(i + 1) % vertices.length])))))
+    : 0;
+  const circleFit = Math.max(0, 1 - radiusSpread / config.circleSpread);
+
+  if (circleFit > polygonFit || vertices.length < 3) {
+    return {
+      shape: 'circle',
+      label: 'circle',
+      confidence: circleFit,
+      circle: { center, radius }
+    };
+  }
+
+  const classification = classifyPolygon(vertices);
+  return {
+    shape: 'polygon',
+    label: classification.label,
+    // Sure of the outline, and (for regular labels) of the regularity
+    confidence: polygonFit * (classification.regularity >= 0.5 ? classification.regularity : 1),
+    vertices
+  };
+}